@@ -27,23 +27,49 @@ Ext.define('Plant', {
 	{
 		type: 'min',
 		field: 'price',
-		message: 'must be greater than $2.00',
+		message: 'must be at least {minimum:usMoney}',
 		minimum: 2
+	}, {
+		// Advisory only; a warning does not make the grid invalid.
+		type: 'max',
+		field: 'price',
+		severity: 'warning',
+		message: 'looks unusually high (over {maximum:usMoney})',
+		maximum: 50
 	}, {
 		type: 'daterange',
 		field: 'availability',
 		message: 'must be after 7/21/1989, but no later than today',
 		minimum: new Date(1989, 7, 21),
 		maximum: new Date()
-	},
-	// For fun, a more complex validaton requiring 'sunny' plants to be
+	} ],
+	// For fun, a more complex record-level rule requiring 'sunny' plants to be
 	// outdoor plants, and 'shady' plants to be indoors.
+	rules: [ {
+		fields: [ 'light', 'indoor' ],
+		fn: function(record) {
+			var light = (record.get('light') || '').toLowerCase(),
+				indoor = record.get('indoor');
+			if (light.indexOf('shad') > -1 && light.indexOf('or') === -1 && !indoor) {
+				return 'is invalid: Plants that need shade should not be planted outdoors';
+			} else if (light.indexOf('sunny') > -1 && indoor) {
+				return 'is invalid: Plants that need sun should not be planted indoors';
+			}
+		}
+	},
+	// An asynchronous rule; a timeout stands in for the round trip to a catalog service.
 	{
-		type: 'indoor',
-		field: 'light'
-	}, {
-		type: 'indoor',
-		field: 'indoor'
+		fields: [ 'botanical' ],
+		async: true,
+		fn: function(record, callback) {
+			setTimeout(function() {
+				var botanical = record.get('botanical'),
+					store = record.store;
+				callback(!store || store.findBy(function(other) {
+					return other !== record && other.get('botanical') === botanical;
+				}) === -1 || 'must be unique in the catalog');
+			}, 750);
+		}
 	} ]
 });
 
@@ -52,29 +78,13 @@ Ext.apply(Ext.data.validations, {
 	min: function(config, value) {
 		return Ext.isNumber(value) && value >= config.minimum;
 	},
+	max: function(config, value) {
+		return !Ext.isNumber(value) || value <= config.maximum;
+	},
 	daterange: function(config, value) {
 		return Ext.isDate(value) &&
 				(!config.minimum || config.minimum.getTime() <= value.getTime()) &&
 				(!config.maximum || config.maximum.getTime() >= value.getTime());
-	},
-	indoor: function(config, value) {
-		var valid = true,
-			vals = this.indoorValues = this.indoorValues || {},
-			light;
-		// It would be so great if Validations had access to the record...
-		vals[config.field] = value;
-		if (Ext.isDefined(vals.indoor) && Ext.isDefined(vals.light)) {
-			light = vals.light.toLowerCase();
-			if (light.indexOf('shad') > -1 && light.indexOf('or') === -1 && !vals.indoor) {
-				this.indoorMessage = 'is invalid: Plants that need shade should not be planted outdoors';
-				valid = false;
-			} else if (light.indexOf('sunny') > -1 && !!vals.indoor) {
-				this.indoorMessage = 'is invalid: Plants that need sun should not be planted indoors';
-				valid = false;
-			}
-			delete this.indoorValues;
-		}
-		return valid;
 	}
 });
 
@@ -83,7 +93,12 @@ Ext.onReady(function() {
 	Ext.QuickTips.init();
 	Ext.create('Ext.grid.Panel', {
 		features: [ {
-			ftype: 'validating'
+			ftype: 'validating',
+			recordErrorMode: 'row',
+			liveValidation: true,
+			headerBadges: true,
+			focusTips: true,
+			ariaLive: true
 		} ],
 		store: {
 			autoLoad: true,
@@ -103,6 +118,9 @@ Ext.onReady(function() {
 			clicksToEdit: 1
 		} ],
 		columns: [
+				{
+					xtype: 'validationstatuscolumn'
+				},
 				{
 					text: 'Common Name',
 					dataIndex: 'common',
@@ -164,6 +182,12 @@ Ext.onReady(function() {
 		height: 300,
 		title: 'Edit Plants?',
 		frame: true,
+		dockedItems: [ {
+			xtype: 'validationsummary',
+			dock: 'bottom',
+			maxHeight: 80,
+			rowLabel: 'common'
+		} ],
 		tbar: [ {
 			text: 'Add Plant',
 			handler: function() {
@@ -172,11 +196,23 @@ Ext.onReady(function() {
 					light: 'Mostly Shady',
 					availDate: Ext.Date.clearTime(new Date())
 				});
+				// Column 0 is the validation status column, which has no editor
 				grid.editingPlugin.startEditByPosition({
 					row: 0,
-					column: 0
+					column: 1
 				});
 			}
+		}, {
+			text: 'Show Only Invalid Rows',
+			enableToggle: true,
+			toggleHandler: function(button, pressed) {
+				var feature = button.up('grid').validatingFeature;
+				if (pressed) {
+					feature.filterInvalid();
+				} else {
+					feature.clearInvalidFilter();
+				}
+			}
 		} ]
 	});
 });
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * German translation for {@link Ext.ux.grid.feature.Validating}, {@link Ext.ux.data.ValidationEngine},
+ * {@link Ext.ux.grid.ValidationSummary} and {@link Ext.ux.grid.ValidatingField}.
+ * Include this file after the classes it overrides, e.g. alongside Ext JS's own locale/ext-lang-de.js.
+ */
+Ext.define('Ext.ux.locale.de.grid.feature.Validating', {
+	override: 'Ext.ux.grid.feature.Validating',
+
+	messageTpl: '{column}: {message}',
+	severityText: {
+		error: 'Fehler',
+		warning: 'Warnungen',
+		info: 'Hinweise'
+	},
+	pendingText: 'Wird geprüft...',
+	invalidCellText: '{0} ist ungültig: {1}',
+	invalidRowText: 'Zeile {0} ist ungültig: {1}',
+	validText: 'Die Tabelle ist jetzt gültig',
+	invalidText: 'Die Tabelle ist jetzt ungültig',
+	writeFailedText: 'Konnte nicht gespeichert werden',
+	badgeText: '{0} ungültig - klicken, um nur diese Zeilen anzuzeigen',
+	associationText: '{count} {association} ungültig',
+	messages: {
+		presence: 'muss angegeben werden',
+		length: '<tpl if="values.min && values.max">muss zwischen {min} und {max} Zeichen lang sein' +
+				'<tpl elseif="values.min">muss mindestens {min} Zeichen lang sein' +
+				'<tpl elseif="values.max">darf höchstens {max} Zeichen lang sein' +
+				'<tpl else>hat eine ungültige Länge</tpl>',
+		format: 'hat ein ungültiges Format',
+		inclusion: 'ist kein zulässiger Wert',
+		exclusion: 'ist nicht zulässig',
+		email: 'ist keine gültige E-Mail-Adresse'
+	}
+});
+
+Ext.define('Ext.ux.locale.de.data.ValidationEngine', {
+	override: 'Ext.ux.data.ValidationEngine',
+
+	writeFailedText: 'Konnte nicht gespeichert werden',
+	associationText: '{count} {association} ungültig'
+});
+
+Ext.define('Ext.ux.locale.de.grid.ValidationSummary', {
+	override: 'Ext.ux.grid.ValidationSummary',
+
+	emptyText: 'Keine Fehler',
+	rowText: 'Zeile {0}',
+	recordText: 'Datensatz',
+	filteredText: '(ausgefiltert)',
+	sourceText: {
+		model: 'Validierung',
+		server: 'Server',
+		manual: 'Sonstige'
+	}
+});
+
+Ext.define('Ext.ux.locale.de.grid.ValidatingField', {
+	override: 'Ext.ux.grid.ValidatingField',
+
+	rowErrorText: 'Zeile {0}: {1}'
+});
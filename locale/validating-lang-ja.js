@@ -0,0 +1,61 @@
+/**
+ * Japanese translation for {@link Ext.ux.grid.feature.Validating}, {@link Ext.ux.data.ValidationEngine},
+ * {@link Ext.ux.grid.ValidationSummary} and {@link Ext.ux.grid.ValidatingField}.
+ * Include this file after the classes it overrides, e.g. alongside Ext JS's own locale/ext-lang-ja.js.
+ */
+Ext.define('Ext.ux.locale.ja.grid.feature.Validating', {
+	override: 'Ext.ux.grid.feature.Validating',
+
+	messageTpl: '{column}は{message}',
+	severityText: {
+		error: 'エラー',
+		warning: '警告',
+		info: '情報'
+	},
+	pendingText: '検証中...',
+	invalidCellText: '{0}が無効です: {1}',
+	invalidRowText: '{0}行目が無効です: {1}',
+	validText: 'グリッドは有効になりました',
+	invalidText: 'グリッドは無効になりました',
+	writeFailedText: '保存できませんでした',
+	badgeText: '{0}件のエラー - クリックするとこれらの行のみ表示します',
+	associationText: '{association}に{count}件のエラーがあります',
+	messages: {
+		presence: '必須です',
+		length: '<tpl if="values.min && values.max">{min}文字以上{max}文字以下で入力してください' +
+				'<tpl elseif="values.min">{min}文字以上で入力してください' +
+				'<tpl elseif="values.max">{max}文字以下で入力してください' +
+				'<tpl else>長さが正しくありません</tpl>',
+		format: '形式が正しくありません',
+		inclusion: '許可されていない値です',
+		exclusion: '使用できない値です',
+		email: '有効なメールアドレスではありません'
+	}
+});
+
+Ext.define('Ext.ux.locale.ja.data.ValidationEngine', {
+	override: 'Ext.ux.data.ValidationEngine',
+
+	writeFailedText: '保存できませんでした',
+	associationText: '{association}に{count}件のエラーがあります'
+});
+
+Ext.define('Ext.ux.locale.ja.grid.ValidationSummary', {
+	override: 'Ext.ux.grid.ValidationSummary',
+
+	emptyText: 'エラーはありません',
+	rowText: '{0}行目',
+	recordText: 'レコード',
+	filteredText: '(フィルターで非表示)',
+	sourceText: {
+		model: '検証',
+		server: 'サーバー',
+		manual: 'その他'
+	}
+});
+
+Ext.define('Ext.ux.locale.ja.grid.ValidatingField', {
+	override: 'Ext.ux.grid.ValidatingField',
+
+	rowErrorText: '{0}行目: {1}'
+});
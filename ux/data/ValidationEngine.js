@@ -0,0 +1,2257 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Ext.ux.data.ValidationEngine validates the records of a store and keeps their errors, independently of any view.
+ * It owns the error cache, the sources of the errors and their lifetime policies, the execution of validations and
+ * rules (synchronous and asynchronous), the validation of associated records, and the parsing of the errors the
+ * server sends in response to a write. It reports changes through events, so it can be used without a grid, e.g. to
+ * validate the records of a store behind a form or a data service, or in a unit test:
+ *
+ *		var engine = Ext.create('Ext.ux.data.ValidationEngine', {
+ *			store: store,
+ *			rules: [ {
+ *				fields: [ 'start', 'end' ],
+ *				message: 'must not end before it starts',
+ *				fn: function(record) {
+ *					return record.get('end') >= record.get('start');
+ *				}
+ *			} ]
+ *		});
+ *		engine.on('validitychange', function(engine, valid) {
+ *			saveButton.setDisabled(valid !== true);
+ *		});
+ *		engine.validate(store.first());
+ *
+ * {@link Ext.ux.grid.feature.Validating} creates an engine from its own configs and binds it to the grid's store;
+ * the Feature only renders the engine's state (see {@link Ext.ux.grid.feature.Validating#engine}). The errors are
+ * cached as error descriptors, which the engine leaves unformatted: a descriptor keeps the 'message', 'code' and
+ * 'params' of its error, and it is up to the view to compose the message shown to the user.
+ *
+ * Besides the events named by the methods below, the engine fires 'recorderrorschange' (engine, record, change)
+ * whenever the errors of a single record may have changed, with a change object with the following properties:
+ *
+ * - fieldNames: the fields whose errors may have changed, or null if those of the whole record may have
+ * - operation: the {@link Ext.data.Store#update} operation which caused the change, if any
+ * - update: true if the change was caused by a {@link Ext.data.Store#update} of the record, in which case
+ *   modifiedFieldNames holds the fields which were modified (if the store knows them)
+ * - errors, lastErrors: the record's errors after and before the change, for edits and for the results of
+ *   asynchronous rules
+ */
+Ext.define('Ext.ux.data.ValidationEngine', {
+	mixins: {
+		observable: 'Ext.util.Observable'
+	},
+	requires: [
+		'Ext.ux.data.errorreader.Reader',
+		'Ext.ux.data.errorreader.JsonApi',
+		'Ext.ux.data.errorreader.Problem',
+		'Ext.ux.data.errorreader.Rails',
+		'Ext.ux.data.errorreader.Spring',
+		'Ext.ux.data.validationadapter.Adapter',
+		'Ext.ux.data.validationadapter.Validators'
+	],
+
+	isValidationEngine: true,
+
+	/**
+	 * @cfg {Ext.data.Store/Ext.data.TreeStore} store The store whose records to validate. See {@link #bindStore}.
+	 */
+	store: null,
+	/**
+	 * @cfg {Boolean} autoValidate Set to false to disable automatic validation triggered by
+	 *		{@link Ext.data.Store#update}. Defaults to true
+	 */
+	autoValidate: true,
+	/**
+	 * @cfg {Boolean} validateOnLoad Set to true to validate every record whenever the store loads, using
+	 *		{@link #validateAll}. Defaults to false
+	 */
+	validateOnLoad: false,
+	/**
+	 * @cfg {Number} bulkBudget The number of milliseconds {@link #validateAll} may spend validating each chunk of
+	 *		records before yielding to the browser. Defaults to 20
+	 */
+	bulkBudget: 20,
+	/**
+	 * @cfg {Boolean} collectStats Set to true to count the validations done by the engine, and the time spent on
+	 *		them, as reported by {@link #getStats}. Defaults to false
+	 */
+	collectStats: false,
+	/**
+	 * @cfg {Number} asyncBuffer The number of milliseconds to wait after the last change to a record before running
+	 *		an asynchronous rule, unless the rule specifies its own 'buffer'. Defaults to 300
+	 */
+	asyncBuffer: 300,
+	/**
+	 * @cfg {Object} sourcePolicies The lifetime policy of the errors from each source other than 'model', keyed by
+	 *		source. The policies are:
+	 *		- 'update': the errors are cleared whenever the record is updated
+	 *		- 'field': an error is cleared only when its own field is edited or rejected (record-level errors are
+	 *		cleared when any field is)
+	 *		- 'sticky': the errors are kept until cleared with {@link #clearErrors}
+	 *		Sources which are not listed use {@link #defaultSourcePolicy}.
+	 */
+	sourcePolicies: {
+		server: 'field',
+		manual: 'field'
+	},
+	/**
+	 * @cfg {String} defaultSourcePolicy The lifetime policy for errors from a source not listed in
+	 *		{@link #sourcePolicies}. Defaults to 'field'
+	 */
+	defaultSourcePolicy: 'field',
+	/**
+	 * @cfg {String} syncMode How to treat a {@link Ext.data.Store#sync} that includes invalid records:
+	 *		- 'allow': sync everything, regardless of errors
+	 *		- 'block': abort the sync while the store is invalid
+	 *		- 'filter': send only the valid records, and hold the invalid ones back
+	 *		In 'block' and 'filter' mode, the following events are fired:
+	 *		- beforeinvalidsync(engine, store, invalidRecords, operations): return false to abort the sync
+	 *		- invalidsync(engine, store, invalidRecords, aborted): reports the records that were held back, or that
+	 *		caused the sync to be aborted
+	 *		Defaults to 'allow'
+	 */
+	syncMode: 'allow',
+	/**
+	 * @cfg {String} errorProperty The data property used by the default {@link #getRawDataErrors} implementation
+	 *		to extract errors from each record's raw server data response. Will be ignored if the server responds
+	 *		with {@link Ext.data.ArrayStore} data, or if {@link #getRawDataErrors} is overridden. Passed on to the
+	 *		{@link #errorReader} unless it specifies its own. Defaults to 'errors'
+	 */
+	errorProperty: 'errors',
+	/**
+	 * @cfg {String/Object/Ext.ux.data.errorreader.Reader} errorReader The reader used to extract write errors from
+	 *		the server's response. May be the type of a reader ('default', 'jsonapi', 'problem', 'rails', 'spring' or
+	 *		the alias of a custom 'errorreader.' class), a config object with a 'type', or a reader instance.
+	 *		Defaults to 'default'
+	 */
+	errorReader: 'default',
+	/**
+	 * @cfg {String/Object/Ext.ux.data.validationadapter.Adapter} validationAdapter The adapter which supplies the
+	 *		validation, raw data and record matching strategies of the running version of Ext JS (see
+	 *		{@link Ext.ux.data.validationadapter.Adapter}). May be the type of an adapter ('ext4', 'ext5' or the alias
+	 *		of a custom 'validationadapter.' class), a config object with a 'type', or an adapter instance. Defaults
+	 *		to 'ext4' on Ext JS 4, and to 'ext5' on Ext JS 5 and 6
+	 */
+	validationAdapter: null,
+	/**
+	 * @cfg {Boolean} validateOnWrite Set to false to ignore server-side (write) errors. Defaults to true
+	 */
+	validateOnWrite: true,
+	/**
+	 * @cfg {String} writeFailedText The message applied to the records of a failed operation if neither the
+	 *		response nor the operation describe the error. Defaults to 'Could not be saved'
+	 */
+	writeFailedText: 'Could not be saved',
+	/**
+	 * @cfg {Object[]} rules Record-level validation rules, applied in addition to any 'rules' declared on the
+	 *		{@link Ext.data.Model}. Each rule is an object with the following properties:
+	 *	@param {String[]} fields	The names of the fields the rule depends on
+	 *	@param {Function} fn		The rule function. It is passed the record, and may return:
+	 *		- true, null or undefined if the record passes the rule
+	 *		- false, in which case the rule's message is applied to every field in 'fields'
+	 *		- A String message, which is applied to every field in 'fields'
+	 *		- A { field, message } object, or an Array of Strings and/or { field, message } objects
+	 *	@param {String} message		Optional; the message used when the rule function returns false
+	 *	@param {Object} scope		Optional; the scope in which the rule function is executed. Defaults to the rule
+	 *	@param {String} severity	Optional; the severity of the rule's errors, unless a returned { field, message }
+	 *		object specifies its own. Defaults to 'error'
+	 *	@param {Boolean} async		Optional; true if the rule is asynchronous. An asynchronous rule function is
+	 *		passed the record and a callback, and reports its result (in any of the forms above) either by invoking
+	 *		the callback or by returning a promise-like object (with a 'then' method) that resolves to it
+	 *	@param {Number} buffer		Optional; the debounce delay for an asynchronous rule. Defaults to
+	 *		{@link #asyncBuffer}
+	 */
+	/**
+	 * @cfg {Object[]} storeRules Rules which span the records of the store, such as uniqueness or aggregate
+	 *		constraints. Each rule is an object with the following properties:
+	 *	@param {String[]} fields	The names of the fields the rule depends on. The rule is re-run whenever one of
+	 *		them is edited or rejected in any record, and whenever records are added to or removed from the store
+	 *	@param {Function} fn		The rule function. It is passed every record of the store (including those which
+	 *		are filtered out) and the store, and may return:
+	 *		- true, null or undefined if every record passes the rule
+	 *		- false, in which case the rule's message is applied to every field in 'fields' of every record
+	 *		- A String message, which is applied to every field in 'fields' of every record
+	 *		- A record, to which the rule's message is applied on every field in 'fields'
+	 *		- A { record, field, message } object, where 'record' and 'field' are optional and default to every
+	 *		record and every field in 'fields', or an Array of any of the above
+	 *	@param {String} message		Optional; the message used when the rule function returns false or a record
+	 *	@param {Object} scope		Optional; the scope in which the rule function is executed. Defaults to the rule
+	 *	@param {String} severity	Optional; the severity of the rule's errors, unless a returned object specifies
+	 *		its own. Defaults to 'error'
+	 *
+	 *		storeRules: [ {
+	 *			fields: [ 'common' ],
+	 *			message: 'must be unique',
+	 *			fn: function(records) {
+	 *				var counts = {};
+	 *				Ext.each(records, function(record) {
+	 *					counts[record.get('common')] = (counts[record.get('common')] || 0) + 1;
+	 *				});
+	 *				return Ext.Array.filter(records, function(record) {
+	 *					return counts[record.get('common')] > 1;
+	 *				});
+	 *			}
+	 *		}, {
+	 *			fields: [ 'percentage' ],
+	 *			fn: function(records) {
+	 *				var sum = 0;
+	 *				Ext.each(records, function(record) {
+	 *					sum += record.get('percentage');
+	 *				});
+	 *				return sum === 100 || 'must add up to 100% (currently ' + sum + '%)';
+	 *			}
+	 *		} ]
+	 *
+	 *		Store rules are not run by {@link #getLiveErrors}, and not for the records of associations.
+	 */
+	/**
+	 * @cfg {Object} fieldValidators Validators of single fields, applied in addition to the Model's validations, as
+	 *		an Object keyed by field name. Each validator is either a validation config (with a 'type', as in
+	 *		{@link Ext.data.Model#validations}) or a function, which is called in the scope of the engine, is passed
+	 *		the value and the record, and may return anything a {@link #rules rule} function may return:
+	 *
+	 *		fieldValidators: {
+	 *			price: [ { type: 'presence' }, function(value) {
+	 *				return value <= 1000 || { message: 'needs approval', severity: 'warning' };
+	 *			} ]
+	 *		}
+	 *
+	 *		See {@link #setFieldValidators} to change them later.
+	 */
+	fieldValidators: null,
+	/**
+	 * @cfg {Boolean/String[]} validateAssociations Set to true to validate the records of every hasMany and hasOne
+	 *		association of each record as well, or to the names of the associations to validate. The errors of the
+	 *		associated records are rolled up into a single error on the record (see {@link #associationText}).
+	 *		Defaults to false
+	 */
+	validateAssociations: false,
+	/**
+	 * @cfg {Object} associationFields The fields the rolled-up errors of associations are reported on, keyed by
+	 *		association name, e.g. { lineItems: 'total' }. The errors of other associations apply to the whole record.
+	 */
+	associationFields: {},
+	/**
+	 * @cfg {String} associationText The message of the error rolled up from an association's invalid records. The
+	 *		error's 'params' hold the number of invalid records as 'count', the total number of records as 'total' and
+	 *		the name of the association as 'association', and its code is the name of the association, so that a view
+	 *		can compose its own message. Defaults to '{count} {association} invalid'
+	 */
+	associationText: '{count} {association} invalid',
+	/**
+	 * @cfg {Ext.ux.data.ValidationEngine} parent The engine which validates the records that own this engine's
+	 *		records through an association. This engine then shares its errors with the parent engine, which rolls
+	 *		them up into the parent record's error instead of validating the records itself. Defaults to the engine
+	 *		which validated the association's store, if any.
+	 */
+	/**
+	 * @cfg {Ext.data.Model} parentRecord The record which owns this engine's store through an association, used with
+	 *		{@link #parent}. Defaults to the record whose association's store this engine is bound to, if it has been
+	 *		validated by the parent engine.
+	 */
+	/**
+	 * @cfg {Function} getRawDataErrors Optional override method to extract error descriptors from the raw server
+	 *		data used to create a single {@link Ext.data.ResultSet} record. For more information, see the
+	 *		{@link #getRawDataErrors} documentation.
+	 */
+	/**
+	 * @cfg {Function} getWriteErrors Optional override method to extract a set of line-item error descriptors
+	 *		from an entire 'write' {@link Ext.data.Operation}. For more information, see the
+	 *		{@link #getWriteErrors} documentation.
+	 */
+	/**
+	 * @cfg {Function} getFieldValidators Optional override method to supply the {@link #fieldValidators} on demand.
+	 *		For more information, see the {@link #getFieldValidators} documentation.
+	 */
+
+	/**
+	 * @property {String[]} severities
+	 * The known severities, from most to least severe. Only the first is blocking.
+	 */
+	severities: [ 'error', 'warning', 'info' ],
+
+	constructor: function(config) {
+		var store;
+		config = Ext.apply({}, config);
+		store = config.store;
+		delete config.store;
+		this.mixins.observable.constructor.call(this, config);
+		this.errorMap = new Ext.util.MixedCollection();
+		this.asyncTasks = new Ext.util.MixedCollection();
+		this.pendingCounts = {};
+		this.childErrors = new Ext.util.MixedCollection();
+		this.storeRuleErrors = {};
+		this.validatedIds = {};
+		this.associationStores = [];
+		this.resetStats();
+		this.initValidationAdapter();
+		this.initErrorReader();
+		this.bulkTask = new Ext.util.DelayedTask(this.runValidateAll, this);
+		this.storeRuleTask = new Ext.util.DelayedTask(this.validateStore, this);
+		if (store) {
+			this.bindStore(store);
+		}
+	},
+
+	/**
+	 * @private
+	 * Creates the {@link #validationAdapter} from its type or config, unless it is already an adapter instance. If
+	 * none is configured, the adapter is picked by the running version of Ext JS.
+	 */
+	initValidationAdapter: function() {
+		var adapter = this.validationAdapter;
+		if (!adapter || !adapter.isValidationAdapter) {
+			adapter = Ext.isString(adapter) ? { type: adapter } : Ext.apply({}, adapter);
+			this.validationAdapter = Ext.createByAlias('validationadapter.' + (adapter.type ||
+					(Ext.getVersion().getMajor() >= 5 ? 'ext5' : 'ext4')), adapter);
+		}
+	},
+
+	/**
+	 * @private
+	 * Creates the {@link #errorReader} from its type or config, unless it is already a reader instance.
+	 */
+	initErrorReader: function() {
+		var reader = this.errorReader;
+		if (!reader || !reader.isErrorReader) {
+			reader = Ext.isString(reader) ? { type: reader } : Ext.apply({}, reader);
+			this.errorReader = Ext.createByAlias('errorreader.' + (reader.type || 'default'), Ext.applyIf(reader, {
+				errorProperty: this.errorProperty
+			}));
+		}
+	},
+
+	/**
+	 * Binds the engine to a store, unbinding it from its previous store (and dropping the errors of that store's
+	 * records) first. The engine validates the store's records as they are updated (see {@link #autoValidate}),
+	 * forgets the errors of records which are removed or reloaded, and reads the errors the server sends in response
+	 * to a write. Tree stores are supported; their nodes keep their errors when they are moved.
+	 * @param {Ext.data.Store/Ext.data.TreeStore} store The store, or null to only unbind the engine
+	 */
+	bindStore: function(store) {
+		if (this.store) {
+			this.unbindStore();
+			this.clear();
+		}
+		if (!store) {
+			return;
+		}
+		this.store = store;
+		this.isTree = Ext.isFunction(store.getRootNode);
+		store.on(this.getStoreListeners());
+		this.bindWriteFailures(store);
+		if (this.parent || store.validatingOwner) {
+			this.initParent(store);
+		}
+	},
+
+	/**
+	 * @private
+	 * Stops listening to the store, and detaches the engine from its {@link #parent}, which revalidates the parent
+	 * record without it.
+	 */
+	unbindStore: function() {
+		var store = this.store;
+		store.un(this.getStoreListeners());
+		store.getProxy().un('exception', this.onProxyException, this);
+		// The store keeps its hook for the other engines bound to it
+		Ext.Array.remove(store.validatingBatchHook.engines, this);
+		if (this.parent) {
+			this.un('errorschange', this.onChildErrorsChange, this);
+			delete store.validationEngine;
+			this.parent.revalidateOwner(this.parentRecord);
+			delete this.parent;
+			delete this.parentRecord;
+		}
+		this.store = null;
+	},
+
+	/**
+	 * @private
+	 * Returns the listeners the engine adds to its store.
+	 */
+	getStoreListeners: function() {
+		var treeEvents = this.validationAdapter.treeEvents,
+			listeners;
+		if (this.isTree) {
+			listeners = {
+				load: this.onTreeLoad,
+				rootchange: this.clear
+			};
+			listeners[treeEvents.append] = this.onNodeAdd;
+			listeners[treeEvents.insert] = this.onNodeAdd;
+			listeners[treeEvents.remove] = this.onNodeRemove;
+		} else {
+			listeners = {
+				load: this.onLoad,
+				add: this.onAdd,
+				clear: this.clear
+			};
+			listeners[this.validationAdapter.removeEvent] = this.onBulkRemove;
+		}
+		// Our onUpdate handler must be called before that of any view, which has priority 0
+		return Ext.apply(listeners, {
+			update: this.onUpdate,
+			write: this.onWrite,
+			beforesync: this.onBeforeSync,
+			priority: 50,
+			scope: this
+		});
+	},
+
+	/**
+	 * @private
+	 * Listens for operations which fail outright: the proxy's 'exception' event, and the 'exception' and 'complete'
+	 * events of the batches started by {@link Ext.data.Store#sync}. The store builds a fresh set of listeners for
+	 * each batch, so ours are sequenced onto them. A store gets a single hook for this, which is shared by every
+	 * engine bound to it (e.g. those of two grids on the same store), and is never removed.
+	 */
+	bindWriteFailures: function(store) {
+		var hook = store.validatingBatchHook,
+			getBatchListeners;
+		store.getProxy().on('exception', this.onProxyException, this);
+		if (!hook) {
+			getBatchListeners = store.getBatchListeners;
+			hook = store.validatingBatchHook = {
+				engines: []
+			};
+			store.getBatchListeners = function() {
+				var listeners = getBatchListeners.apply(this, arguments);
+				Ext.each(Ext.Array.clone(hook.engines), function(engine) {
+					listeners.exception = Ext.Function.createSequence(listeners.exception || Ext.emptyFn,
+							engine.onBatchException, engine);
+					listeners.complete = Ext.Function.createSequence(listeners.complete || Ext.emptyFn,
+							engine.onBatchComplete, engine);
+				});
+				return listeners;
+			};
+		}
+		Ext.Array.include(hook.engines, this);
+	},
+
+	/**
+	 * Cancels every validation in progress, unbinds the engine from its store and associated stores, and removes its
+	 * listeners.
+	 */
+	destroy: function() {
+		this.bulkTask.cancel();
+		delete this.bulkRun;
+		this.storeRuleTask.cancel();
+		this.clearTasks();
+		this.unbindAssociationStores();
+		if (this.store) {
+			this.unbindStore();
+		}
+		this.clearListeners();
+		this.isDestroyed = true;
+	},
+
+	/**
+	 * @private
+	 * Fires 'recorderrorschange' for the passed fields of a record, or for the whole record if no fields are passed.
+	 * @param {Ext.data.Model} record
+	 * @param {String[]} fieldNames Optional
+	 * @param {Object} change Optional; other properties of the change (see the class description)
+	 */
+	notifyRecord: function(record, fieldNames, change) {
+		this.fireEvent('recorderrorschange', this, record, Ext.apply({
+			fieldNames: fieldNames || null
+		}, change));
+	},
+
+	/**
+	 * Validates a record against its Model's validations, the {@link #fieldValidators} and the {@link #rules}, and
+	 * caches the errors. The record keeps the errors of the last run of the {@link #storeRules}, which are only run
+	 * here if they have not been run since the store was loaded or cleared, or are still scheduled to run (see
+	 * {@link #validateStore} to re-run them). Errors from sources other than 'model' are kept. Fires
+	 * 'recorderrorschange' for the whole record, and for every other record whose errors the store rules changed.
+	 * @param {Ext.data.Model} record The record to validate
+	 * @return {Ext.data.Errors} all of the record's errors, from every source
+	 */
+	validate: function(record) {
+		var changes = this.applyStaleStoreRules(),
+			errors = this.cacheErrors(record);
+		this.notifyRecord(record);
+		this.notifyStoreRuleChanges(changes, record);
+		return errors;
+	},
+
+	/**
+	 * Validates every record of the store (including those which are filtered out), or a given set of records, for
+	 * instance after importing a large data set. The records are validated in time-sliced chunks (see
+	 * {@link #bulkBudget}) so that the browser stays responsive. Calling it again cancels any validation still in
+	 * progress. Asynchronous rules are not run unless requested. The {@link #storeRules} are run once, as validation
+	 * starts. No 'recorderrorschange' events are fired for the validated records; each chunk is reported by
+	 * 'validationprogress' instead.
+	 *
+	 * Fires 'validationstart' (engine, total), then 'validationprogress' (engine, done, total, records) after each
+	 * chunk, where records are those of the chunk, and finally 'validationcomplete' (engine, total, valid), or
+	 * 'validationcancel' (engine, done, total) if it is cancelled (see {@link #cancelValidateAll}), or if the store is
+	 * cleared or reloaded in the meantime.
+	 * @param {Object} options Optional; an object with the following properties:
+	 *	@param {Ext.data.Model[]} records	The records to validate. Defaults to every record of the store
+	 *	@param {Boolean} async				true to (re)run asynchronous rules too. Defaults to false
+	 *	@param {Function} callback			A function called when validation completes, passed this engine and the
+	 *		result of {@link #isValid}
+	 *	@param {Object} scope				The scope of the callback. Defaults to this engine
+	 */
+	validateAll: function(options) {
+		var ids = {},
+			run;
+		options = options || {};
+		this.cancelValidateAll();
+		run = this.bulkRun = {
+			records: options.records || this.getRecords(true),
+			index: 0,
+			removed: {},
+			async: !!options.async,
+			callback: options.callback,
+			scope: options.scope
+		};
+		this.fireEvent('validationstart', this, run.records.length);
+		// The errors of the store rules are picked up as each record is validated; only the others are notified
+		Ext.each(run.records, function(record) {
+			ids[record.internalId] = true;
+		});
+		this.notifyStoreRuleChanges(Ext.Array.filter(this.applyStoreRules(), function(change) {
+			return !ids[change.record.internalId];
+		}));
+		this.runValidateAll();
+	},
+
+	/**
+	 * Cancels a {@link #validateAll} in progress, keeping the errors found so far.
+	 * Fires 'validationcancel' (engine, done, total).
+	 */
+	cancelValidateAll: function() {
+		var run = this.bulkRun;
+		if (run) {
+			this.bulkTask.cancel();
+			delete this.bulkRun;
+			this.fireEvent('validationcancel', this, run.index, run.records.length);
+		}
+	},
+
+	/**
+	 * Returns true while a {@link #validateAll} is in progress.
+	 * @return {Boolean}
+	 */
+	isValidatingAll: function() {
+		return !!this.bulkRun;
+	},
+
+	/**
+	 * @private
+	 * Validates the next chunk of records of a {@link #validateAll}, for up to {@link #bulkBudget} milliseconds, and
+	 * schedules the next chunk (or completes the run).
+	 */
+	runValidateAll: function() {
+		var run = this.bulkRun,
+			records = run.records,
+			end = Ext.Date.now() + this.bulkBudget,
+			chunk = [],
+			record;
+		while (run.index < records.length && (!chunk.length || Ext.Date.now() < end)) {
+			record = records[run.index++];
+			if (!run.removed[record.internalId]) {
+				this.updateCache(record, run.async ? undefined : []);
+				chunk.push(record);
+			}
+		}
+		this.isValid();
+		this.fireEvent('errorschange', this);
+		this.fireEvent('validationprogress', this, run.index, records.length, chunk);
+		if (run.index < records.length) {
+			this.bulkTask.delay(1);
+			return;
+		}
+		delete this.bulkRun;
+		this.fireEvent('validationcomplete', this, records.length, this.lastValid);
+		Ext.callback(run.callback, run.scope || this, [ this, this.lastValid ]);
+	},
+
+	/**
+	 * @private
+	 * Used internally to validate a record and cache the errors, called by {@link #validate} and
+	 * {@link #onUpdate}. This function does *not* fire 'recorderrorschange'.
+	 * Asynchronous rules are (re)scheduled only if one of their fields is in modifiedFieldNames; the last
+	 * results of any other asynchronous rules are carried over.
+	 * Errors from other sources are merged back in according to their {@link #sourcePolicies}.
+	 * An edit of a record which has been validated before only re-runs the validators of the modified fields and
+	 * the rules which depend on them; see {@link #updateCache}.
+	 * @param {Ext.data.Model} record
+	 * @param {String[]} modifiedFieldNames Optional; if omitted, every asynchronous rule is rescheduled
+	 * @param {String} operation Optional; the {@link Ext.data.Store#update} operation that triggered validation
+	 */
+	cacheErrors: function(record, modifiedFieldNames, operation) {
+		var errors = this.updateCache(record, modifiedFieldNames, operation);
+		this.isValid();
+		this.fireEvent('errorschange', this);
+		return errors;
+	},
+
+	/**
+	 * @private
+	 * Does the work of {@link #cacheErrors}, without checking the validity of the store or firing 'errorschange'.
+	 * Once a record has been fully validated, an edit is validated incrementally: only the validations and field
+	 * validators of the modified fields, and the synchronous rules which depend on them, are re-run, and the
+	 * record's other 'model' errors are carried over (see {@link #getUnaffectedErrors}). Every other update, and
+	 * every manual or bulk validation, re-runs everything. The errors of the {@link #storeRules} are not re-run
+	 * here, but carried over from their last run (see {@link #applyStoreRules}).
+	 */
+	updateCache: function(record, modifiedFieldNames, operation) {
+		var id = record.internalId,
+			lastErrors = this.errorMap.getByKey(id),
+			incremental = operation === Ext.data.Model.EDIT && !!modifiedFieldNames && !!this.validatedIds[id],
+			fieldNames = incremental ? modifiedFieldNames : null,
+			start = this.collectStats ? this.getTime() : 0,
+			errors = this.getModelErrors(record, fieldNames);
+		errors.addAll(this.getFieldValidatorErrors(record, fieldNames));
+		this.applyRules(record, errors, modifiedFieldNames, incremental);
+		errors.addAll(this.getStoreRuleErrors(record));
+		if (incremental) {
+			if (lastErrors) {
+				errors.addAll(this.getUnaffectedErrors(lastErrors, modifiedFieldNames));
+			}
+		} else {
+			if (this.validateAssociations) {
+				errors.addAll(this.getAssociationErrors(record, record, []));
+			}
+			this.validatedIds[id] = true;
+		}
+		if (lastErrors) {
+			errors.addAll(this.getRetainedErrors(lastErrors, modifiedFieldNames, operation));
+		}
+		if (errors.getCount()) {
+			this.errorMap.add(id, errors);
+		} else {
+			this.errorMap.removeAtKey(id);
+		}
+		if (this.collectStats) {
+			this.stats.validations++;
+			this.stats[incremental ? 'incrementalValidations' : 'fullValidations']++;
+			this.stats.validationTime += this.getTime() - start;
+		}
+		return errors;
+	},
+
+	/**
+	 * @private
+	 * Returns the 'model' errors of an incrementally validated record which an edit of modifiedFieldNames does not
+	 * affect: those of the validations and field validators of other fields, those of synchronous rules which don't
+	 * depend on a modified field, and those rolled up from associations. The errors of asynchronous rules are left
+	 * to {@link #applyRules}, and those of store rules to {@link #getStoreRuleErrors}.
+	 */
+	getUnaffectedErrors: function(lastErrors, modifiedFieldNames) {
+		return Ext.Array.filter(lastErrors.getRange(), function(error) {
+			var validator = error.validator;
+			if ((error.source || 'model') !== 'model' || !validator || validator === 'store') {
+				return false;
+			}
+			if (validator === 'association') {
+				return true;
+			}
+			if (validator === 'field') {
+				return !Ext.Array.contains(modifiedFieldNames, error.field);
+			}
+			return !validator.async && Ext.isEmpty(Ext.Array.intersect(validator.fields, modifiedFieldNames));
+		});
+	},
+
+	/**
+	 * @private
+	 * Returns the errors from sources other than 'model' which survive an update, according to their
+	 * {@link #sourcePolicies}. If no operation is passed (i.e. for a manual {@link #validate}), they all survive.
+	 */
+	getRetainedErrors: function(lastErrors, modifiedFieldNames, operation) {
+		var edited = operation !== Ext.data.Model.COMMIT;
+		return Ext.Array.filter(lastErrors.getRange(), function(error) {
+			var policy;
+			if ((error.source || 'model') === 'model') {
+				return false;
+			}
+			policy = this.getSourcePolicy(error.source);
+			if (!operation || policy === 'sticky') {
+				return true;
+			}
+			if (policy === 'update') {
+				return false;
+			}
+			// 'field' policy: if the modified fields aren't known, assume they all were
+			return !edited || (!error.record && !!modifiedFieldNames &&
+					!Ext.Array.contains(modifiedFieldNames, error.field));
+		}, this);
+	},
+
+	/**
+	 * @private
+	 * Returns the lifetime policy for a source: 'update', 'field' or 'sticky'.
+	 */
+	getSourcePolicy: function(source) {
+		return (this.sourcePolicies && this.sourcePolicies[source]) || this.defaultSourcePolicy;
+	},
+
+	/**
+	 * Removes cached errors from a source, for a single record or for all of them, and fires 'recorderrorschange' for
+	 * the affected fields. Errors from the 'model' source can be cleared too, but will be recomputed the next time
+	 * the record is validated.
+	 * @param {String} source Optional; the source whose errors should be removed. Defaults to every source
+	 * @param {Ext.data.Model} record Optional; the record whose errors should be removed. Defaults to every record
+	 */
+	clearErrors: function(source, record) {
+		Ext.each(record ? [ record ] : this.getRecords(true), function(rec) {
+			var id = rec.internalId,
+				recordErrors = this.errorMap.getByKey(id),
+				removed;
+			if (!source || source === 'model') {
+				// The cleared errors won't be carried over by an incremental validation
+				delete this.validatedIds[id];
+			}
+			if (recordErrors) {
+				removed = recordErrors.filterBy(function(error) {
+					return !source || (error.source || 'model') === source;
+				}).getRange();
+				Ext.each(removed, recordErrors.remove, recordErrors);
+				if (!recordErrors.getCount()) {
+					this.errorMap.removeAtKey(id);
+				}
+				if (removed.length) {
+					this.notifyRecord(rec, this.getRepaintFields(removed));
+				}
+			}
+		}, this);
+		this.isValid();
+		this.fireEvent('errorschange', this);
+	},
+
+	/**
+	 * @private
+	 * Evaluates the Model's validations through the {@link #validationAdapter}, which keeps each validation's
+	 * 'severity' on the resulting error. The message is resolved when the error is displayed (see
+	 * {@link Ext.ux.grid.feature.Validating#getErrorMessage}), so the error keeps the validation's type, code and
+	 * config instead.
+	 * @param {Ext.data.Model} record
+	 * @param {String[]} fieldNames Optional; only evaluate the validations of these fields
+	 * @return {Ext.data.Errors}
+	 */
+	getModelErrors: function(record, fieldNames) {
+		var errors = this.validationAdapter.createErrors();
+		Ext.each(this.validationAdapter.getModelErrors(record, fieldNames), function(error) {
+			errors.add(Ext.apply(error, {
+				source: 'model',
+				validator: 'field'
+			}));
+		});
+		return errors;
+	},
+
+	/**
+	 * @protected
+	 * @template
+	 * Returns the {@link #fieldValidators}, as an Object keyed by field name. The validators are read whenever a
+	 * record is validated, so an override can supply them on demand; the Validating Feature does so with the
+	 * 'validators' of the grid's visible columns. After the validators change, call {@link #revalidate}.
+	 * @return {Object}
+	 */
+	getFieldValidators: function() {
+		return this.fieldValidators || {};
+	},
+
+	/**
+	 * Replaces the {@link #fieldValidators}, and revalidates the records which have been validated before (see
+	 * {@link #revalidate}).
+	 * @param {Object} validators The validators, keyed by field name
+	 */
+	setFieldValidators: function(validators) {
+		this.fieldValidators = validators;
+		this.revalidate();
+	},
+
+	/**
+	 * @private
+	 * Checks a record against the {@link #fieldValidators}.
+	 * @param {Ext.data.Model} record
+	 * @param {String[]} fieldNames Optional; only run the validators of these fields
+	 * @return {Object[]} error descriptors
+	 */
+	getFieldValidatorErrors: function(record, fieldNames) {
+		var errors = [];
+		Ext.Object.each(this.getFieldValidators(), function(field, validators) {
+			var value;
+			if (fieldNames && !Ext.Array.contains(fieldNames, field)) {
+				return;
+			}
+			value = record.get(field);
+			Ext.each(Ext.Array.from(validators), function(validator) {
+				var error;
+				if (Ext.isFunction(validator)) {
+					Ext.each(this.getRuleErrors({
+						fields: [ field ]
+					}, validator.call(this, value, record)), function(ruleError) {
+						errors.push(Ext.apply(ruleError, {
+							validator: 'field'
+						}));
+					});
+				} else {
+					error = this.validationAdapter.validateValue(validator, field, value, record);
+					if (error) {
+						errors.push(Ext.apply(error, {
+							source: 'model',
+							validator: 'field'
+						}));
+					}
+				}
+			}, this);
+		}, this);
+		return errors;
+	},
+
+	/**
+	 * Revalidates the records which have been validated before (including those with errors, and those which have been
+	 * modified), e.g. after the {@link #fieldValidators} change. Asynchronous rules are not rescheduled. Fires
+	 * 'errorschange' once, rather than 'recorderrorschange' for each record.
+	 */
+	revalidate: function() {
+		Ext.each(this.getRecords(true), function(record) {
+			var id = record.internalId;
+			if (record.dirty || record.phantom || this.validatedIds[id] || this.errorMap.containsKey(id)) {
+				this.updateCache(record, []);
+			}
+		}, this);
+		this.isValid();
+		this.fireEvent('errorschange', this);
+	},
+
+	/**
+	 * @private
+	 * Returns all of the record-level rules that apply to a record: those declared on its Model, followed by
+	 * those configured on this engine.
+	 */
+	getRules: function(record) {
+		return Ext.Array.push([], record.rules || [], this.rules || []);
+	},
+
+	/**
+	 * @private
+	 * Runs each of the synchronous record-level {@link #rules} against the record, adding any resulting errors to
+	 * the passed {@link Ext.data.Errors}. Asynchronous rules are handed off to {@link #scheduleRule}.
+	 * @param {Ext.data.Model} record
+	 * @param {Ext.data.Errors} errors
+	 * @param {String[]} modifiedFieldNames Optional; the fields which were modified
+	 * @param {Boolean} incremental Optional; true to skip the synchronous rules which don't depend on a modified field
+	 */
+	applyRules: function(record, errors, modifiedFieldNames, incremental) {
+		Ext.each(this.getRules(record), function(rule) {
+			var affected = !modifiedFieldNames || !Ext.isEmpty(Ext.Array.intersect(rule.fields, modifiedFieldNames));
+			if (rule.async) {
+				if (affected) {
+					this.scheduleRule(record, rule);
+				} else {
+					errors.addAll(this.getAsyncTask(record, rule).errors);
+				}
+			} else if (affected || !incremental) {
+				errors.addAll(this.getRuleErrors(rule, rule.fn.call(rule.scope || rule, record)));
+			}
+		}, this);
+	},
+
+	/**
+	 * @private
+	 * Converts the result of a rule function into an Array of { field, message } error descriptors. The rule's
+	 * config is passed on as the errors' 'params', to be used by message templates, and the rule itself as their
+	 * 'validator', so that incremental validation knows which fields they depend on.
+	 */
+	getRuleErrors: function(rule, result) {
+		var errors = [];
+		if (result === false) {
+			result = { message: rule.message, code: rule.code };
+		}
+		if (result === true || !Ext.isDefined(result) || result === null) {
+			return errors;
+		}
+		// result may be an Array or just a single item
+		Ext.each(Ext.Array.from(result), function(ruleError) {
+			// Error is either an object descriptor { field, message } or just a message
+			var error = typeof ruleError === 'object' ? ruleError : { message: ruleError };
+			// Apply the error to its own field, or to every field the rule depends on
+			Ext.each(error.field ? [ error.field ] : rule.fields, function(field) {
+				errors.push({
+					field: field,
+					message: error.message,
+					code: error.code,
+					params: Ext.apply({}, error.params, rule),
+					severity: error.severity || rule.severity || 'error',
+					source: 'model',
+					validator: rule
+				});
+			});
+		});
+		return errors;
+	},
+
+	/**
+	 * Re-runs the {@link #storeRules} against every record of the store, e.g. after something they depend on has
+	 * changed outside of the store. Fires 'recorderrorschange' for every record whose errors changed.
+	 */
+	validateStore: function() {
+		var changes = this.applyStoreRules();
+		this.isValid();
+		this.fireEvent('errorschange', this);
+		this.notifyStoreRuleChanges(changes);
+	},
+
+	/**
+	 * @private
+	 * Re-runs the {@link #storeRules} which depend on one of modifiedFieldNames (or all of them), and replaces the
+	 * errors of their last run in the cache. A record whose errors are the same as before keeps them, so that it
+	 * doesn't need to be repainted. Does not fire any events.
+	 * @param {String[]} modifiedFieldNames Optional; only re-run the rules which depend on one of these fields
+	 * @return {Object[]} a { record, errors } object for each record whose errors changed, where errors holds the
+	 *		record's errors from both the last and the new run
+	 */
+	applyStoreRules: function(modifiedFieldNames) {
+		var rules = Ext.Array.filter(Ext.Array.from(this.storeRules), function(rule) {
+				return !modifiedFieldNames || !Ext.isEmpty(Ext.Array.intersect(rule.fields, modifiedFieldNames));
+			}),
+			recordMap = {},
+			changes = {},
+			records;
+		if (!modifiedFieldNames) {
+			// Every rule is re-run now, so one scheduled by onNodeAdd is no longer needed
+			this.storeRuleTask.cancel();
+			delete this.storeRulesQueued;
+		}
+		if (!rules.length) {
+			return [];
+		}
+		records = this.getRecords(true);
+		Ext.each(records, function(record) {
+			recordMap[record.internalId] = record;
+		});
+		Ext.each(rules, function(rule) {
+			var ruleId = rule.ruleId || (rule.ruleId = Ext.id(null, 'validating-rule-')),
+				lastErrors = this.storeRuleErrors[ruleId] || {},
+				errors = this.runStoreRule(rule, records);
+			Ext.Object.each(Ext.apply({}, errors, lastErrors), function(id) {
+				var last = lastErrors[id] || [],
+					next = errors[id] || [],
+					recordErrors;
+				if (!recordMap[id]) {
+					delete errors[id];
+					return;
+				}
+				if (this.isSameErrors(last, next)) {
+					errors[id] = last;
+					return;
+				}
+				recordErrors = this.errorMap.getByKey(id);
+				if (recordErrors) {
+					Ext.each(last, recordErrors.remove, recordErrors);
+				}
+				if (next.length) {
+					if (!recordErrors) {
+						recordErrors = this.errorMap.add(id, this.validationAdapter.createErrors());
+					}
+					recordErrors.addAll(next);
+				} else if (recordErrors && !recordErrors.getCount()) {
+					this.errorMap.removeAtKey(id);
+				}
+				changes[id] = changes[id] || {
+					record: recordMap[id],
+					errors: []
+				};
+				Ext.Array.push(changes[id].errors, last, next);
+			}, this);
+			this.storeRuleErrors[ruleId] = errors;
+		}, this);
+		return Ext.Object.getValues(changes);
+	},
+
+	/**
+	 * @private
+	 * Runs the {@link #storeRules} if any of them has no errors cached from an earlier run, or if they are scheduled
+	 * to be re-run (see {@link #onNodeAdd}).
+	 * @return {Object[]} the changes, as returned by {@link #applyStoreRules}
+	 */
+	applyStaleStoreRules: function() {
+		var stale = this.storeRulesQueued || Ext.Array.some(Ext.Array.from(this.storeRules), function(rule) {
+			return !rule.ruleId || !this.storeRuleErrors[rule.ruleId];
+		}, this);
+		return stale ? this.applyStoreRules() : [];
+	},
+
+	/**
+	 * @private
+	 * Runs a store rule, and converts its result into error descriptors (see {@link #getRuleErrors}), keyed by the
+	 * internalId of the record they belong to.
+	 * @param {Object} rule
+	 * @param {Ext.data.Model[]} records Every record of the store
+	 * @return {Object}
+	 */
+	runStoreRule: function(rule, records) {
+		var result = rule.fn.call(rule.scope || rule, records, this.store),
+			errors = {};
+		Ext.each(Ext.Array.from(result), function(item) {
+			var error;
+			if (item === true || !Ext.isDefined(item) || item === null) {
+				return;
+			}
+			if (item.isModel) {
+				item = { record: item };
+			} else if (!Ext.isObject(item)) {
+				// false or a String message
+				item = item === false ? {} : { message: item };
+			}
+			error = Ext.applyIf(Ext.apply({}, item), {
+				message: rule.message,
+				code: rule.code
+			});
+			// A descriptor's 'record' marks a record-level error
+			delete error.record;
+			Ext.each(item.record ? [ item.record ] : records, function(record) {
+				var id = record.internalId;
+				Ext.each(this.getRuleErrors(rule, error), function(ruleError) {
+					ruleError.validator = 'store';
+					(errors[id] = errors[id] || []).push(ruleError);
+				});
+			}, this);
+		}, this);
+		return errors;
+	},
+
+	/**
+	 * @private
+	 * Returns true if two Arrays of error descriptors describe the same errors, in the same order.
+	 */
+	isSameErrors: function(errors, otherErrors) {
+		return errors.length === otherErrors.length && Ext.Array.every(errors, function(error, i) {
+			var other = otherErrors[i];
+			return error.field === other.field && error.message === other.message && error.code === other.code &&
+					error.severity === other.severity && Ext.Object.equals(error.params, other.params);
+		});
+	},
+
+	/**
+	 * @private
+	 * Returns the errors of a record from the last run of each of the {@link #storeRules}.
+	 * @param {Ext.data.Model} record
+	 * @return {Object[]} error descriptors
+	 */
+	getStoreRuleErrors: function(record) {
+		var errors = [];
+		Ext.Object.each(this.storeRuleErrors, function(ruleId, ruleErrors) {
+			Ext.Array.push(errors, ruleErrors[record.internalId] || []);
+		});
+		return errors;
+	},
+
+	/**
+	 * @private
+	 * Fires 'recorderrorschange' for the records whose errors were changed by {@link #applyStoreRules}.
+	 * @param {Object[]} changes
+	 * @param {Ext.data.Model} record Optional; a record which is notified separately, and so is skipped
+	 */
+	notifyStoreRuleChanges: function(changes, record) {
+		Ext.each(changes, function(change) {
+			if (change.record !== record) {
+				this.notifyRecord(change.record, this.getRepaintFields(change.errors));
+			}
+		}, this);
+	},
+
+	/**
+	 * @private
+	 * Validates the records of a record's associations (see {@link #validateAssociations}), and rolls the errors of
+	 * each association up into a single error for the record. The associated records are validated recursively, so
+	 * the errors of their own associations count too; if an association's store is bound to an engine of its own
+	 * (see {@link #parent}), that engine's errors are used instead.
+	 * @param {Ext.data.Model} record The record whose associations to validate
+	 * @param {Ext.data.Model} owner The record of this store the association belongs to, which is revalidated when an
+	 *		association's store changes
+	 * @param {Ext.data.Model[]} visited The records already validated, to guard against cycles
+	 * @return {Object[]} error descriptors
+	 */
+	getAssociationErrors: function(record, owner, visited) {
+		var names = Ext.isArray(this.validateAssociations) ? this.validateAssociations : null,
+			errors = [];
+		visited.push(record);
+		Ext.each(this.validationAdapter.getAssociations(record), function(association) {
+			var childEngine = association.store && association.store.validationEngine,
+				severities = [],
+				count = 0;
+			if (names && !Ext.Array.contains(names, association.name)) {
+				return;
+			}
+			if (association.store) {
+				this.bindAssociationStore(association.store, owner);
+			}
+			Ext.each(association.records, function(child) {
+				var childErrors;
+				if (Ext.Array.contains(visited, child)) {
+					return;
+				}
+				if (childEngine) {
+					// Roll up what the child engine has found, e.g. for a nested grid
+					childErrors = childEngine.errorMap.getByKey(child.internalId);
+					childErrors = childErrors ? childErrors.getRange() : [];
+				} else {
+					childErrors = this.getChildErrors(child, owner, visited);
+				}
+				if (childErrors.length) {
+					count++;
+					severities.push(this.getSeverity(childErrors));
+				}
+			}, this);
+			if (count) {
+				errors.push(this.getAssociationError(record, association, count, severities));
+			}
+		}, this);
+		return errors;
+	},
+
+	/**
+	 * @private
+	 * Validates an associated record against its Model's validations, its Model's synchronous rules and its own
+	 * associations, and caches the errors for a child engine to pick up (see {@link #parent}).
+	 * @return {Object[]} error descriptors
+	 */
+	getChildErrors: function(child, owner, visited) {
+		var errors = this.getModelErrors(child);
+		Ext.each(child.rules || [], function(rule) {
+			if (!rule.async) {
+				errors.addAll(this.getRuleErrors(rule, rule.fn.call(rule.scope || rule, child)));
+			}
+		}, this);
+		errors.addAll(this.getAssociationErrors(child, owner, visited));
+		if (errors.getCount()) {
+			this.childErrors.add(child.internalId, errors);
+		} else {
+			this.childErrors.removeAtKey(child.internalId);
+		}
+		return errors.getRange();
+	},
+
+	/**
+	 * @private
+	 * Builds the error rolled up from the invalid records of an association, with the severity of the most severe of
+	 * their errors.
+	 */
+	getAssociationError: function(record, association, count, severities) {
+		var field = this.associationFields && this.associationFields[association.name],
+			error = {
+				field: field,
+				message: this.associationText,
+				type: 'association',
+				code: association.name,
+				params: {
+					association: association.name,
+					count: count,
+					total: association.records.length
+				},
+				severity: this.severities[Math.min.apply(Math, Ext.Array.map(severities, function(severity) {
+					return Ext.Array.indexOf(this.severities, severity);
+				}, this))],
+				source: 'model',
+				validator: 'association'
+			};
+		if (!field) {
+			// The error applies to the whole record
+			error.record = record;
+		}
+		return error;
+	},
+
+	/**
+	 * @private
+	 * Revalidates the owning record whenever the records of one of its associations change. Only one owner is
+	 * tracked per store.
+	 */
+	bindAssociationStore: function(store, owner) {
+		if (store.validatingOwner && store.validatingOwner.engine === this) {
+			store.validatingOwner.record = owner;
+			return;
+		}
+		store.validatingOwner = {
+			engine: this,
+			record: owner
+		};
+		store.on({
+			datachanged: this.onAssociationChange,
+			update: this.onAssociationUpdate,
+			scope: this
+		});
+		this.associationStores.push(store);
+	},
+
+	/**
+	 * @private
+	 * Unbinds the stores bound by {@link #bindAssociationStore}.
+	 */
+	unbindAssociationStores: function() {
+		Ext.each(this.associationStores, function(store) {
+			store.un({
+				datachanged: this.onAssociationChange,
+				update: this.onAssociationUpdate,
+				scope: this
+			});
+			delete store.validatingOwner;
+		}, this);
+		this.associationStores = [];
+	},
+
+	/**
+	 * @private
+	 * Revalidates the record which owns an association's store after records are added to or removed from the store.
+	 */
+	onAssociationChange: function(store) {
+		this.revalidateOwner(store.validatingOwner && store.validatingOwner.record);
+	},
+
+	/**
+	 * @private
+	 * Revalidates the record which owns an association's store after one of the store's records is updated. A store
+	 * bound to an engine of its own is handled when that engine's errors change instead, since that engine may not
+	 * have validated the update yet.
+	 */
+	onAssociationUpdate: function(store) {
+		if (!store.validationEngine) {
+			this.onAssociationChange(store);
+		}
+	},
+
+	/**
+	 * @private
+	 * Revalidates (without rescheduling asynchronous rules) a record of this store whose associated records have
+	 * changed.
+	 */
+	revalidateOwner: function(owner) {
+		if (owner && this.hasRecord(owner)) {
+			this.cacheErrors(owner, []);
+			this.notifyRecord(owner);
+		}
+	},
+
+	/**
+	 * @private
+	 * Joins this engine to the engine whose record owns this engine's store (see {@link #parent}), picking up the
+	 * errors that engine has already found for the store's records.
+	 */
+	initParent: function(store) {
+		var owner = store.validatingOwner,
+			parent = this.parent = this.parent || (owner && owner.engine);
+		this.parentRecord = this.parentRecord || (owner && owner.record);
+		if (!parent || parent === this || !this.parentRecord) {
+			delete this.parent;
+			return;
+		}
+		parent.bindAssociationStore(store, this.parentRecord);
+		store.validationEngine = this;
+		Ext.each(this.getRecords(true), function(record) {
+			var errors = parent.childErrors.getByKey(record.internalId);
+			if (errors) {
+				this.errorMap.add(record.internalId, errors.clone());
+			}
+		}, this);
+		this.on('errorschange', this.onChildErrorsChange, this);
+	},
+
+	/**
+	 * @private
+	 * Rolls this engine's errors up into the parent record (see {@link #parent}).
+	 */
+	onChildErrorsChange: function() {
+		this.parent.revalidateOwner(this.parentRecord);
+	},
+
+	/**
+	 * @private
+	 * Returns the bookkeeping object for an asynchronous rule on a single record, creating it if necessary.
+	 * Each task tracks its debounce timer, a token identifying the latest run, and the errors from the last run.
+	 */
+	getAsyncTask: function(record, rule) {
+		var key = record.internalId + '/' + (rule.ruleId || (rule.ruleId = Ext.id(null, 'validating-rule-'))),
+			task = this.asyncTasks.getByKey(key);
+		if (!task) {
+			task = this.asyncTasks.add(key, {
+				record: record,
+				rule: rule,
+				token: 0,
+				errors: [],
+				timer: new Ext.util.DelayedTask()
+			});
+		}
+		return task;
+	},
+
+	/**
+	 * @private
+	 * (Re)starts the debounce timer for an asynchronous rule. The rule's fields are pending right away (see
+	 * {@link #isPending}), and any result from a run that is still in flight will be discarded as stale.
+	 */
+	scheduleRule: function(record, rule) {
+		var task = this.getAsyncTask(record, rule),
+			buffer = Ext.isDefined(rule.buffer) ? rule.buffer : this.asyncBuffer;
+		this.abortTask(task);
+		task.errors = [];
+		this.setPending(task, true);
+		task.timer.delay(buffer, this.runRule, this, [ task ]);
+		this.isValid();
+	},
+
+	/**
+	 * @private
+	 * Executes an asynchronous rule. The rule function may either invoke the passed callback or return a
+	 * promise-like object; either way, only the result of the most recent run is applied.
+	 */
+	runRule: function(task) {
+		var me = this,
+			rule = task.rule,
+			token = ++task.token,
+			callback = function(result) {
+				if (token === task.token && task.pending) {
+					task.request = null;
+					me.onRuleResult(task, me.getRuleErrors(rule, result));
+				}
+			},
+			result = rule.fn.call(rule.scope || rule, task.record, callback);
+		if (result && Ext.isFunction(result.then)) {
+			task.request = result;
+			result.then(callback, function() {
+				// A failed check (e.g. a network error) leaves the record unmarked rather than invalid
+				callback(true);
+			});
+		}
+	},
+
+	/**
+	 * @private
+	 * Applies the errors from the latest run of an asynchronous rule, replacing those from its previous run, then
+	 * fires 'recorderrorschange' for every field involved.
+	 */
+	onRuleResult: function(task, errors) {
+		var record = task.record,
+			id = record.internalId,
+			recordErrors = this.errorMap.getByKey(id),
+			lastErrors = task.errors,
+			store = this.store,
+			fieldNames = Ext.Array.clone(task.rule.fields);
+		this.setPending(task, false);
+		if (recordErrors) {
+			Ext.each(task.errors, recordErrors.remove, recordErrors);
+		}
+		if (errors.length) {
+			if (!recordErrors) {
+				recordErrors = this.errorMap.add(id, this.validationAdapter.createErrors());
+			}
+			recordErrors.addAll(errors);
+		} else if (recordErrors && !recordErrors.getCount()) {
+			this.errorMap.removeAtKey(id);
+		}
+		Ext.each(Ext.Array.push([], lastErrors, errors), function(error) {
+			Ext.Array.include(fieldNames, error.field);
+		});
+		task.errors = errors;
+		this.isValid();
+		this.fireEvent('errorschange', this);
+		this.notifyRecord(record, fieldNames, {
+			errors: errors,
+			lastErrors: lastErrors
+		});
+		// An autoSync may have held this record back while the rule was pending
+		if (this.syncMode !== 'allow' && store && store.autoSync && (record.dirty || record.phantom) &&
+				!this.isRecordBlocked(record)) {
+			store.sync();
+		}
+	},
+
+	/**
+	 * @private
+	 * Cancels the timer and any in-flight run of an asynchronous rule. If the rule returned a request with an
+	 * 'abort' method (e.g. an {@link Ext.data.Connection} request), it will be called.
+	 */
+	abortTask: function(task) {
+		var request = task.request;
+		task.timer.cancel();
+		task.token++;
+		this.setPending(task, false);
+		if (request && Ext.isFunction(request.abort)) {
+			request.abort();
+		}
+		task.request = null;
+	},
+
+	/**
+	 * @private
+	 * Cancels and discards every asynchronous rule task for the passed records, or for all records if none are
+	 * passed.
+	 */
+	clearTasks: function(records) {
+		var ids = records && Ext.Array.map(records, function(record) {
+				return record.internalId;
+			});
+		this.asyncTasks.filterBy(function(task) {
+			return !ids || Ext.Array.contains(ids, task.record.internalId);
+		}).each(function(task) {
+			this.abortTask(task);
+			this.asyncTasks.remove(task);
+		}, this);
+	},
+
+	/**
+	 * @private
+	 * Marks an asynchronous rule task as pending or settled, and keeps count of the pending tasks for the store, for
+	 * each record, and for each field of a record, keyed '', internalId and internalId + '/' + field respectively, so
+	 * that {@link #isPending} doesn't need to look at every task.
+	 */
+	setPending: function(task, pending) {
+		var counts = this.pendingCounts,
+			id = task.record.internalId,
+			delta = pending ? 1 : -1;
+		if (!!task.pending === pending) {
+			return;
+		}
+		task.pending = pending;
+		Ext.each(Ext.Array.push([ '', id ], Ext.Array.map(task.rule.fields, function(field) {
+			return id + '/' + field;
+		})), function(key) {
+			counts[key] = (counts[key] || 0) + delta;
+			if (!counts[key]) {
+				delete counts[key];
+			}
+		});
+	},
+
+	/**
+	 * Checks whether an asynchronous rule is still pending for the store, a record, or a single field of a record.
+	 * @param {Ext.data.Model} record Optional; limits the check to a single record
+	 * @param {String} field Optional; limits the check to a single field of the record
+	 * @return {Boolean} true if any matching asynchronous rule has not yet reported its result
+	 */
+	isPending: function(record, field) {
+		var key = record ? record.internalId + (field ? '/' + field : '') : '';
+		return !!this.pendingCounts[key];
+	},
+
+	/**
+	 * Returns the records of the store, optionally including those which are filtered out. For a tree, every loaded
+	 * node is returned, whether or not it is expanded.
+	 * @param {Boolean} all Optional; true to include the records which are filtered out
+	 * @return {Ext.data.Model[]}
+	 */
+	getRecords: function(all) {
+		var store = this.store,
+			root = this.isTree && store.getRootNode(),
+			records = [];
+		if (!store) {
+			return records;
+		}
+		if (this.isTree) {
+			if (root) {
+				root.cascadeBy(function(node) {
+					records.push(node);
+				});
+			}
+			return records;
+		}
+		return (all ? this.validationAdapter.getSnapshot(store) : store.data).getRange();
+	},
+
+	/**
+	 * Returns true if a record is (still) in the store, even if it is filtered out or a collapsed tree node.
+	 * @param {Ext.data.Model} record
+	 * @return {Boolean}
+	 */
+	hasRecord: function(record) {
+		var store = this.store,
+			root;
+		if (!store) {
+			return false;
+		}
+		if (this.isTree) {
+			root = store.getRootNode();
+			return !!root && (root === record || root.contains(record));
+		}
+		return this.validationAdapter.getSnapshot(store).contains(record);
+	},
+
+	/**
+	 * @private
+	 * Returns the names of the fields a set of errors belong to, or null if one of them is a record-level error, so
+	 * that the errors concern the whole record.
+	 */
+	getRepaintFields: function(errors) {
+		var fieldNames = [];
+		Ext.each(errors, function(error) {
+			if (error.record) {
+				fieldNames = null;
+				return false;
+			}
+			Ext.Array.include(fieldNames, error.field);
+		});
+		return fieldNames;
+	},
+
+	/**
+	 * @private
+	 * Returns the names of every field that depends on one of the passed field names by way of a record-level
+	 * rule, whose errors may change when any of the rule's inputs do.
+	 */
+	getDependentFields: function(record, fieldNames) {
+		var dependents = [];
+		Ext.each(this.getRules(record), function(rule) {
+			if (!Ext.isEmpty(Ext.Array.intersect(rule.fields, fieldNames))) {
+				Ext.Array.push(dependents, rule.fields);
+			}
+		});
+		return Ext.Array.unique(dependents);
+	},
+	
+	/**
+	 * Checks the validity state of the entire store. Note that this does not necessarily have the same result as
+	 * filtering the {@link Ext.data.Store} by validity, since we may have extra errors from a write operation or
+	 * applied manually via {@link #setErrors}. Only blocking errors (those with a severity of 'error') are counted;
+	 * see {@link #getErrorCounts} for warnings and info messages.
+	 * Fires 'validitychange' whenever the result changes, and 'pendingchange' whenever asynchronous rules start
+	 * or stop being pending. Independently of validity, 'errorschange' is fired whenever the cache changes.
+	 * @returns {Boolean} false if there are errors in the cache, null if there are no errors but asynchronous
+	 *		rules are still pending, true otherwise.
+	 */
+	isValid: function() {
+		var lastValid = this.lastValid,
+			lastPending = this.lastPending;
+		this.lastPending = this.isPending();
+		this.lastValid = !this.errorMap.findBy(function(errors) {
+			return !!errors.findBy(this.isBlocking, this);
+		}, this);
+		if (this.lastValid && this.lastPending) {
+			this.lastValid = null;
+		}
+		if (Ext.isDefined(lastPending) && lastPending !== this.lastPending) {
+			this.fireEvent('pendingchange', this, this.lastPending);
+		}
+		if (Ext.isDefined(lastValid) && lastValid !== this.lastValid) {
+			this.fireEvent('validitychange', this, this.lastValid);
+		}
+		return this.lastValid;
+	},
+	
+	/**
+	 * Returns true if an error descriptor is blocking, i.e. prevents the store from being valid.
+	 * @param {Object} error
+	 * @return {Boolean}
+	 */
+	isBlocking: function(error) {
+		return (error.severity || 'error') === this.severities[0];
+	},
+
+	/**
+	 * Returns the counters collected while {@link #collectStats} is enabled:
+	 *
+	 * - validations: the number of records validated, of which fullValidations re-ran every validator and
+	 *   incrementalValidations only those affected by an edit
+	 * - validationTime: the total number of milliseconds spent validating, and averageValidationTime per record
+	 *
+	 * Asynchronous rules are only counted for the time it takes to schedule them.
+	 * @return {Object} a copy of the counters
+	 */
+	getStats: function() {
+		var stats = Ext.apply({}, this.stats);
+		stats.averageValidationTime = stats.validations ? stats.validationTime / stats.validations : 0;
+		return stats;
+	},
+
+	/**
+	 * Resets the counters reported by {@link #getStats} to zero.
+	 */
+	resetStats: function() {
+		this.stats = {
+			validations: 0,
+			fullValidations: 0,
+			incrementalValidations: 0,
+			validationTime: 0
+		};
+	},
+
+	/**
+	 * @private
+	 * Returns a timestamp in milliseconds for {@link #getStats}, with sub-millisecond precision where the browser
+	 * supports it.
+	 */
+	getTime: function() {
+		var performance = Ext.global.performance;
+		return performance && performance.now ? performance.now() : Ext.Date.now();
+	},
+
+	/**
+	 * Counts the cached error descriptors by severity.
+	 * @return {Object} an object keyed by severity, e.g. { error: 2, warning: 1, info: 0 }
+	 */
+	getErrorCounts: function() {
+		var counts = {};
+		Ext.each(this.severities, function(severity) {
+			counts[severity] = 0;
+		});
+		this.errorMap.each(function(errors) {
+			errors.each(function(error) {
+				var severity = error.severity || 'error';
+				counts[severity] = (counts[severity] || 0) + 1;
+			});
+		});
+		return counts;
+	},
+
+	/**
+	 * Returns the most severe of the severities of a set of errors.
+	 * @param {Object[]} errors
+	 * @return {String} the severity, or undefined if there are no errors
+	 */
+	getSeverity: function(errors) {
+		return Ext.Array.filter(this.severities, function(severity) {
+			return Ext.Array.some(errors, function(error) {
+				return (error.severity || 'error') === severity;
+			});
+		})[0];
+	},
+
+	/**
+	 * Removes every error from the cache and cancels every validation in progress, as happens when the store is
+	 * cleared or loaded. This function can also be called if for some reason the entire cache needs to be wiped.
+	 */
+	clear: function() {
+		this.cancelValidateAll();
+		this.clearTasks();
+		this.errorMap.clear();
+		this.childErrors.clear();
+		this.storeRuleErrors = {};
+		this.forgetValidated();
+		this.unbindAssociationStores();
+		this.isValid();
+		this.fireEvent('errorschange', this);
+	},
+	
+	/**
+	 * @private
+	 * Forgets that records have been fully validated, so that their next update re-runs every validator.
+	 * @param {Function} filter Optional; only forget the records whose internalId this function returns true for
+	 */
+	forgetValidated: function(filter) {
+		Ext.Object.each(this.validatedIds, function(id) {
+			if (!filter || filter(id)) {
+				delete this.validatedIds[id];
+			}
+		}, this);
+	},
+
+	/**
+	 * @private
+	 * Re-runs the {@link #storeRules} when records are added to the store.
+	 */
+	onAdd: function() {
+		if (this.autoValidate && !Ext.isEmpty(this.storeRules)) {
+			this.validateStore();
+		}
+	},
+
+	/**
+	 * @private
+	 * Schedules the {@link #storeRules} to be re-run when nodes are appended to or inserted into the tree. A tree
+	 * appends its nodes one at a time, also while it fills a node during a load, so the rules are only re-run once
+	 * the nodes stop coming (or by {@link #onTreeLoad}, which re-runs them right away).
+	 */
+	onNodeAdd: function() {
+		if (this.autoValidate && !Ext.isEmpty(this.storeRules)) {
+			this.storeRulesQueued = true;
+			this.storeRuleTask.delay(1);
+		}
+	},
+
+	/**
+	 * @private
+	 * When records are removed from the store, we also remove them from the cache, then re-run the
+	 * {@link #storeRules} for the records that remain. Records which are only being moved keep their errors.
+	 */
+	onBulkRemove: function(store, records, indexes, isMove) {
+		var changes;
+		if (isMove) {
+			return;
+		}
+		if (this.bulkRun) {
+			// Keep a validateAll in progress from caching the errors of removed records
+			Ext.each(records, function(record) {
+				this.bulkRun.removed[record.internalId] = true;
+			}, this);
+		}
+		this.clearTasks(records);
+		Ext.each(records, function(record) {
+			this.errorMap.removeAtKey(record.internalId);
+			delete this.validatedIds[record.internalId];
+			this.forgetStoreRuleErrors(record.internalId);
+		}, this);
+		changes = this.autoValidate ? this.applyStoreRules() : [];
+		this.isValid();
+		this.fireEvent('errorschange', this);
+		this.notifyStoreRuleChanges(changes);
+	},
+
+	/**
+	 * @private
+	 * Drops the errors of a record which is no longer in the store from the results of the {@link #storeRules}.
+	 * @param {String} id The record's internalId
+	 */
+	forgetStoreRuleErrors: function(id) {
+		Ext.Object.each(this.storeRuleErrors, function(ruleId, ruleErrors) {
+			delete ruleErrors[id];
+		});
+	},
+
+	/**
+	 * @private
+	 * Clears the cache when the store loads, then validates the loaded records if {@link #validateOnLoad} is set.
+	 */
+	onLoad: function(store, records, successful) {
+		this.clear();
+		if (this.validateOnLoad && successful !== false) {
+			this.validateAll();
+		}
+	},
+
+	/**
+	 * @private
+	 * Removes a tree node and all of its descendants from the cache. Nodes which are only being moved keep their
+	 * errors.
+	 */
+	onNodeRemove: function(parent, node, isMove) {
+		var records = [];
+		if (!isMove) {
+			node.cascadeBy(function(child) {
+				records.push(child);
+			});
+			this.onBulkRemove(this.store, records);
+		}
+	},
+
+	/**
+	 * @private
+	 * A TreeStore loads one node at a time, replacing its children. Removes the records which are no longer in the
+	 * tree from the cache, and re-runs the {@link #storeRules}. The arguments of the 'load' event differ between
+	 * versions of Ext JS, so they are normalized by the {@link #validationAdapter}.
+	 */
+	onTreeLoad: function() {
+		var load = this.validationAdapter.getTreeLoad(arguments),
+			ids = {},
+			removed = [],
+			loaded = [],
+			changes;
+		Ext.each(this.getRecords(), function(record) {
+			ids[record.internalId] = true;
+		});
+		this.clearTasks(Ext.Array.filter(Ext.Array.pluck(this.asyncTasks.getRange(), 'record'), function(record) {
+			return !ids[record.internalId];
+		}));
+		this.errorMap.eachKey(function(id) {
+			if (!ids[id]) {
+				removed.push(id);
+			}
+		});
+		Ext.each(removed, this.errorMap.removeAtKey, this.errorMap);
+		this.forgetValidated(function(id) {
+			return !ids[id];
+		});
+		Ext.Object.each(this.storeRuleErrors, function(ruleId, ruleErrors) {
+			Ext.Object.each(ruleErrors, function(id) {
+				if (!ids[id]) {
+					delete ruleErrors[id];
+				}
+			});
+		});
+		if (this.bulkRun) {
+			Ext.each(this.bulkRun.records, function(record) {
+				if (!ids[record.internalId]) {
+					this.bulkRun.removed[record.internalId] = true;
+				}
+			}, this);
+		}
+		changes = this.autoValidate ? this.applyStoreRules() : [];
+		this.isValid();
+		this.fireEvent('errorschange', this);
+		this.notifyStoreRuleChanges(changes);
+		if (this.validateOnLoad && load.successful !== false) {
+			Ext.each(load.records, function(record) {
+				record.cascadeBy(function(child) {
+					loaded.push(child);
+				});
+			});
+			if (this.bulkRun) {
+				// Each node loads separately; add the new records to the validation in progress
+				Ext.Array.push(this.bulkRun.records, loaded);
+			} else if (loaded.length) {
+				this.validateAll({
+					records: loaded
+				});
+			}
+		}
+	},
+	
+	/**
+	 * @private
+	 * Auto-validate: (Re)validate the record, then fire 'recorderrorschange' for any fields whose errors may have
+	 * changed during the update, as well as any fields which depend on a modified field by way of a record-level
+	 * rule. This intentionally handles ALL update operations (edit, commit, reject). Only the 'model' source is
+	 * recomputed; errors from other sources are kept or dropped according to their {@link #sourcePolicies}. The
+	 * {@link #storeRules} which depend on a modified field are re-run (except on commit, which changes no values),
+	 * and 'recorderrorschange' is fired for every other record whose errors they changed.
+	 */
+	onUpdate: function(store, record, operation, modifiedFieldNames) {
+		var lastErrors,
+			errors,
+			fieldNames = null,
+			change,
+			storeChanges;
+		if (!this.autoValidate) {
+			return;
+		}
+		lastErrors = this.errorMap.getByKey(record.internalId);
+		lastErrors = lastErrors ? lastErrors.getRange() : [];
+		// The store rules run first, so that the record's errors include their results
+		storeChanges = operation === Ext.data.Model.COMMIT ? [] : this.applyStoreRules(modifiedFieldNames);
+		errors = this.cacheErrors(record, modifiedFieldNames, operation).getRange();
+		// If the modified fields are not known, the whole record may have changed
+		if (modifiedFieldNames) {
+			fieldNames = this.getRepaintFields(Ext.Array.push([], errors, lastErrors));
+			if (fieldNames) {
+				// Fields whose rules depend on a modified field may have changed even if they had no errors
+				fieldNames = Ext.Array.union(fieldNames, this.getDependentFields(record, modifiedFieldNames));
+			}
+		}
+		change = {
+			operation: operation,
+			update: true,
+			modifiedFieldNames: modifiedFieldNames || null
+		};
+		if (operation === Ext.data.Model.EDIT) {
+			change.errors = errors;
+			change.lastErrors = lastErrors;
+		}
+		this.notifyRecord(record, fieldNames, change);
+		this.notifyStoreRuleChanges(storeChanges, record);
+	},
+
+	/**
+	 * Validates a record without caching the errors or running asynchronous rules, e.g. to check the values in an
+	 * editor against a copy of the record being edited.
+	 * @param {Ext.data.Model} record
+	 * @return {Ext.data.Errors}
+	 */
+	getLiveErrors: function(record) {
+		var errors = this.getModelErrors(record);
+		errors.addAll(this.getFieldValidatorErrors(record));
+		Ext.each(this.getRules(record), function(rule) {
+			if (!rule.async) {
+				errors.addAll(this.getRuleErrors(rule, rule.fn.call(rule.scope || rule, record)));
+			}
+		}, this);
+		return errors;
+	},
+
+	/**
+	 * @private
+	 * Guards {@link Ext.data.Store#sync} according to {@link #syncMode}. Records about to be created or updated are
+	 * validated first if they have not been already (without re-running asynchronous rules).
+	 */
+	onBeforeSync: function(operations) {
+		var store = this.store,
+			records = Ext.Array.push([], operations.create || [], operations.update || []),
+			invalid,
+			aborted;
+		if (this.syncMode !== 'block' && this.syncMode !== 'filter') {
+			return;
+		}
+		// A sync (e.g. an autoSync) may follow an append right away, before the store rules have been re-run
+		if (this.storeRulesQueued) {
+			this.validateStore();
+		}
+		Ext.each(records, function(record) {
+			if (!this.errorMap.containsKey(record.internalId) && this.cacheErrors(record, []).getCount()) {
+				this.notifyRecord(record);
+			}
+		}, this);
+		if (this.syncMode === 'block') {
+			if (this.isValid() === true) {
+				return;
+			}
+			invalid = Ext.Array.filter(this.getRecords(true), this.isRecordBlocked, this);
+			aborted = true;
+		} else {
+			invalid = Ext.Array.filter(records, this.isRecordBlocked, this);
+			if (!invalid.length) {
+				return;
+			}
+		}
+		if (this.fireEvent('beforeinvalidsync', this, store, invalid, operations) === false) {
+			aborted = true;
+		}
+		if (!aborted) {
+			// Hold back the invalid records; they remain dirty and will be picked up by a later sync
+			Ext.each([ 'create', 'update' ], function(action) {
+				if (operations[action]) {
+					operations[action] = Ext.Array.difference(operations[action], invalid);
+					if (!operations[action].length) {
+						delete operations[action];
+					}
+				}
+			});
+			aborted = Ext.Object.isEmpty(operations);
+		}
+		this.fireEvent('invalidsync', this, store, invalid, !!aborted);
+		if (aborted) {
+			return false;
+		}
+	},
+
+	/**
+	 * @private
+	 * Returns true if a record has blocking errors, or asynchronous rules which are still pending.
+	 */
+	isRecordBlocked: function(record) {
+		var recordErrors = this.errorMap.getByKey(record.internalId);
+		return !!(recordErrors && recordErrors.findBy(this.isBlocking, this)) || this.isPending(record);
+	},
+
+	/**
+	 * @private
+	 * The entry point to the server-side validation/write error support system. This handler will pass off
+	 * the actual error extraction to template function {@link #getWriteErrors}.
+	 */
+	onWrite: function(store, operation) {
+		if (this.validateOnWrite) {
+			// The write succeeded, so whatever the server said about these records before no longer applies
+			this.clearServerErrors(operation.getRecords());
+			this.setErrors(this.getWriteErrors.apply(this, arguments));
+		}
+	},
+
+	/**
+	 * @private
+	 */
+	onProxyException: function(proxy, response, operation) {
+		this.onOperationFailure(operation);
+	},
+
+	/**
+	 * @private
+	 */
+	onBatchException: function(batch, operation) {
+		this.onOperationFailure(operation);
+	},
+
+	/**
+	 * @private
+	 * Catches any failed operations of the batch that weren't reported as they happened.
+	 */
+	onBatchComplete: function(batch) {
+		Ext.each(batch.operations, function(operation) {
+			if (operation.hasException()) {
+				this.onOperationFailure(operation);
+			}
+		}, this);
+	},
+
+	/**
+	 * @private
+	 * Maps the errors of a failed create, update or destroy operation onto its records. The errors are extracted by
+	 * {@link #getWriteErrors}; if there are none, the operation's own error is applied to each record instead.
+	 * Each operation is only handled once, however many events report it.
+	 */
+	onOperationFailure: function(operation) {
+		var store = this.store,
+			records,
+			errors,
+			message;
+		if (!this.validateOnWrite || !operation || operation.validatingFailureHandled ||
+				!Ext.Array.contains([ 'create', 'update', 'destroy' ], operation.action)) {
+			return;
+		}
+		operation.validatingFailureHandled = true;
+		// Only mark records that are still in the store; a failed destroy may leave its row in place
+		records = Ext.Array.filter(operation.getRecords() || [], this.hasRecord, this);
+		if (!records.length) {
+			return;
+		}
+		errors = Ext.Array.filter(this.getWriteErrors(store, operation), function(error) {
+			return Ext.Array.contains(records, error.record);
+		});
+		if (!errors.length) {
+			message = operation.getError();
+			if (Ext.isObject(message)) {
+				message = message.statusText || message.status;
+			}
+			errors = Ext.Array.map(records, function(record) {
+				return {
+					record: record,
+					message: message || this.writeFailedText,
+					source: 'server'
+				};
+			}, this);
+		}
+		this.clearServerErrors(records);
+		this.setErrors(errors);
+	},
+
+	/**
+	 * @private
+	 * Removes the 'server' errors of the passed records.
+	 */
+	clearServerErrors: function(records) {
+		Ext.each(records, function(record) {
+			if (this.errorMap.containsKey(record.internalId)) {
+				this.clearErrors('server', record);
+			}
+		}, this);
+	},
+	
+	/**
+	 * Method that will manually add errors to the cache, and fires 'recorderrorschange' for each record involved.
+	 * Note that errors set by this method will impact the result of {@link #isValid}, but will NOT be returned by
+	 * {@link Ext.data.Model#validate}, meaning that these errors will NOT result in the model failing validation.
+	 * They exist only in this engine.
+	 * How long these errors survive updates to the record depends on the {@link #sourcePolicies} of their source.
+	 * 
+	 * @param {Object} errors An error descriptor with the follwing properties:
+	 *	@param {Ext.data.Model} record	The record to mark as invalid
+	 *	@param {String} message			The error message
+	 *	@param {String} code			Optional; an error code, which a view may translate in preference to the
+	 *		message
+	 *	@param {Object} params			Optional; values for the tokens of the message
+	 *	@param {String} severity		Optional; one of 'error', 'warning' or 'info'. Defaults to 'error'
+	 *	@param {String} source			Optional; the source of the error, e.g. 'server'. Defaults to 'manual'
+	 *	@param {String} field			Optional; specifies a specific field to which the error should be applied. By
+	 *		default, the error applies to the entire record.
+	 */
+	setErrors: function(errors) {
+		var changes = new Ext.util.MixedCollection();
+		Ext.each(errors, function(error) {
+			var record,
+				id,
+				recordErrors,
+				descriptor,
+				change;
+			if (error) {
+				record = error.record;
+				id = record.internalId;
+				recordErrors = this.errorMap.getByKey(id);
+				if (!recordErrors) {
+					recordErrors = this.validationAdapter.createErrors();
+					this.errorMap.add(id, recordErrors);
+				}
+				descriptor = {
+					field: error.field,
+					message: error.message,
+					code: error.code,
+					params: error.params,
+					severity: error.severity || 'error',
+					source: error.source || 'manual'
+				};
+				if (!error.field) {
+					// The error applies to the whole record
+					descriptor.record = record;
+				}
+				recordErrors.add(descriptor);
+				change = changes.getByKey(id) || changes.add(id, {
+					record: record,
+					errors: []
+				});
+				change.errors.push(descriptor);
+			}
+		}, this);
+		changes.each(function(change) {
+			this.notifyRecord(change.record, this.getRepaintFields(change.errors), {
+				operation: Ext.data.Model.REJECT
+			});
+		}, this);
+		this.isValid();
+		this.fireEvent('errorschange', this);
+	},
+
+	/**
+	 * @protected
+	 * @template
+	 * Method to retrieve a set of line-item error descriptors from a write operation.
+	 *
+	 * This default implementation iterates through {@link Ext.data.Operation#resultSet} and attempts to extract
+	 * errors from each record's raw data using {@link #getRawDataErrors}, then adds any errors which the
+	 * {@link #errorReader} finds in the response as a whole. Any extra properties (those that don't
+	 * match up with a corresponding Model field) will be available via the {@link Ext.data.Model#raw} property on
+	 * the ResultSet records, since they are instantiated around the server response's raw data object (on Ext JS 5
+	 * and 6, they are found in the records' data instead; see {@link #validationAdapter}).
+	 * See:	{@link Ext.data.reader.Reader#read}
+	 * 
+	 * The code used to match up the response records with their local equivalents follows logic
+	 * similar to that used in {@link Ext.data.Operation#commitRecords}, as supplied by the {@link #validationAdapter}.
+	 * 
+	 * Other implementations using an {@link Ext.data.proxy.Server} proxy might wish to make use of the undocumented
+	 * property {@link Ext.data.Operation#response}, which contains the entire XMLHttpResponse object from the
+	 * server.
+	 * See: {@link Ext.data.proxy.Server#processResponse}
+	 * 
+	 * Note that this function is actually called with the 'arguments' object from the onWrite handler in this
+	 * class, meaning that this function will be passed all the arguments of the 'write' event - not just 'store'
+	 * and 'operation'. This is done intentionally so that a custom 'write' event can be appropriately handled.
+	 * 
+	 * @param store
+	 * @param operation
+	 * @return {Array} of error descriptors, whose format matches the 'errors' parameter to {@link #setErrors}
+	 */
+	getWriteErrors: function(store, operation) {
+		var adapter = this.validationAdapter,
+			errors = new Ext.util.MixedCollection(),
+			clientRecords = operation.getRecords(),
+			serverRecords = adapter.getServerRecords(operation),
+			serverErrors,
+			i;
+		if (clientRecords && clientRecords.length) {
+			if (clientRecords.length > 1) {
+				// There are multiple records involved in the operation - we have to match up each client
+				// record with the corresponding server record.
+				if (operation.action === 'update' || clientRecords[0].clientIdProperty) {
+					// Match by clientIdProperty
+					for (i = clientRecords.length; i--;) {
+						serverErrors = this.getRecordWriteErrors(clientRecords[i],
+								this.findServerRecord(operation, clientRecords[i], serverRecords));
+						if (!Ext.isEmpty(serverErrors)) {
+							errors.addAll(serverErrors);
+						}
+					}
+				} else {
+					// We have no clientIdProperty to match; match by index order instead
+					for (i = 0; i < clientRecords.length; i++) {
+						serverErrors = this.getRecordWriteErrors(clientRecords[i], serverRecords[i]);
+						if (!Ext.isEmpty(serverErrors)) {
+							errors.addAll(serverErrors);
+						}
+					}
+				}
+			} else {
+				// Operation only has one record, so no need to match it up
+				serverErrors = this.getRecordWriteErrors(clientRecords[0], serverRecords[0]);
+				if (!Ext.isEmpty(serverErrors)) {
+					errors.addAll(serverErrors);
+				}
+			}
+			// Errors describing the whole response, rather than an individual record
+			errors.addAll(this.getResponseWriteErrors(operation, clientRecords));
+		}
+		return errors.getRange();
+	},
+
+	/**
+	 * @private
+	 * Returns the record of the server's response which corresponds to a record of the operation, as matched by the
+	 * {@link #validationAdapter}.
+	 */
+	findServerRecord: function(operation, clientRecord, serverRecords) {
+		var adapter = this.validationAdapter,
+			i;
+		for (i = 0; i < serverRecords.length; i++) {
+			if (adapter.matchClientRecord(operation, clientRecord, serverRecords[i])) {
+				return serverRecords[i];
+			}
+		}
+		return null;
+	},
+
+	/**
+	 * @private
+	 * Builds an Array of server error descriptors from the response as a whole by invoking the
+	 * {@link #errorReader}'s {@link Ext.ux.data.errorreader.Reader#getResponseErrors}. Each error is applied to the
+	 * client record it points at (by 'index' or 'id'), or to every client record if it doesn't point at one.
+	 */
+	getResponseWriteErrors: function(operation, clientRecords) {
+		var reader = this.errorReader,
+			adapter = this.validationAdapter,
+			data = reader.getResponseData(operation),
+			errors = [];
+		// If the response is itself a record's raw data, its errors have already been read per record
+		if (!data || Ext.Array.some(adapter.getServerRecords(operation), function(serverRecord) {
+			return adapter.getRawData(serverRecord) === data;
+		})) {
+			return errors;
+		}
+		Ext.each(reader.getResponseErrors(data, operation), function(serverError) {
+			var records = clientRecords;
+			if (Ext.isDefined(serverError.index)) {
+				records = Ext.Array.from(clientRecords[serverError.index]);
+			} else if (Ext.isDefined(serverError.id)) {
+				records = Ext.Array.filter(clientRecords, function(record) {
+					return String(record.getId()) === String(serverError.id);
+				});
+			}
+			Ext.each(records, function(record) {
+				var error = {
+					record: record,
+					source: 'server'
+				};
+				Ext.applyIf(error, serverError);
+				delete error.index;
+				delete error.id;
+				errors.push(error);
+			});
+		});
+		return errors;
+	},
+	
+	/**
+	 * @private
+	 * Builds an Array of server error descriptors for each record by invoking {@link #getRawDataErrors}
+	 */
+	getRecordWriteErrors: function(clientRecord, serverRecord) {
+		var errors = [],
+			serverErrors,
+			error;
+		if (clientRecord && serverRecord) {
+			serverErrors = this.getRawDataErrors(this.validationAdapter.getRawData(serverRecord), serverRecord);
+			if (!Ext.isEmpty(serverErrors)) {
+				// serverErrors may be an Array or just a single item
+				Ext.each(serverErrors, function(serverError) {
+					error = {
+						record: clientRecord,
+						source: 'server'
+					};
+					if (typeof serverError === 'object') {
+						// Error is an object descriptor { field, message }
+						Ext.applyIf(error, serverError);
+					} else {
+						// Error is just a message
+						error.message = serverError;
+					}
+					errors.push(error);
+				});
+			}
+		}
+		return errors;
+	},
+	
+	/**
+	 * @protected
+	 * @template
+	 * Method to extract errors from the raw data of a single {@link Ext.data.ResultSet} record.
+	 * This method can be overridden as a more casual way of customizing the way errors are extracted from raw data.
+	 * Instead of changing the way errors are pulled from the entire {@link Ext.data.Operation}, this function
+	 * determines how an error is pulled from each individual record's {@link Ext.data.Model#raw} response data.
+	 * 
+	 * If you're using JSON data and you have a specific error property on each record, consider using the
+	 * {@link #errorProperty} config.
+	 * 
+	 * This default implementation delegates to the {@link #errorReader}'s
+	 * {@link Ext.ux.data.errorreader.Reader#getRecordErrors}. If the errors can't be pulled from individual record
+	 * data, consider a different {@link #errorReader}, or override {@link #getWriteErrors} instead.
+	 * 
+	 * @return {String/Object/String[]/Object[]}
+	 * - A String (in which case the error is applied to the whole record)
+	 * - A { field, message } object (in which case the error is applied to the specified field
+	 * - An Array containing either Strings or { field, message } objects
+	 */
+	getRawDataErrors: function(rawData, serverRecord) {
+		return this.errorReader.getRecordErrors(rawData, serverRecord);
+	}
+});
@@ -0,0 +1,51 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Reads JSON:API error objects (http://jsonapi.org/format/#errors) from the response to a 'write' operation.
+ * errorreader: 'jsonapi'
+ *
+ * Each error's 'source.pointer' identifies the record and field, e.g. '/data/attributes/name' for a single record,
+ * or '/data/1/attributes/name' for the second record of a batch. An error without a pointer to an attribute is
+ * applied to the whole record. The message is the error's 'detail', or its 'title' if there is none.
+ *
+ *		{
+ *			errors: [ {
+ *				status: "422",
+ *				code: "taken",
+ *				source: { pointer: "/data/attributes/name" },
+ *				title: "Invalid attribute",
+ *				detail: "The name 'first' is already in use"
+ *			} ]
+ *		}
+ */
+Ext.define('Ext.ux.data.errorreader.JsonApi', {
+	extend: 'Ext.ux.data.errorreader.Reader',
+	alias: 'errorreader.jsonapi',
+
+	pointerRe: /^\/data(?:\/(\d+))?(?:\/(?:attributes|relationships)\/([^\/]+))?/,
+
+	getRecordErrors: function() {
+		// JSON:API reports errors for the document as a whole, never inside a resource object
+		return;
+	},
+
+	getResponseErrors: function(data) {
+		var errors = [];
+		Ext.each(data && data.errors, function(error) {
+			var pointer = error.source && error.source.pointer,
+				match = pointer && this.pointerRe.exec(pointer),
+				descriptor = {
+					message: error.detail || error.title,
+					code: error.code
+				};
+			if (match) {
+				if (match[1]) {
+					descriptor.index = parseInt(match[1], 10);
+				}
+				descriptor.field = match[2];
+			}
+			errors.push(descriptor);
+		}, this);
+		return errors;
+	}
+});
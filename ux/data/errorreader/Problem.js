@@ -0,0 +1,56 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Reads RFC 7807 problem details (https://tools.ietf.org/html/rfc7807) from the response to a 'write' operation.
+ * errorreader: 'problem'
+ *
+ * Each entry of the 'invalid-params' extension is applied to the field it names; names such as '[1].price' or
+ * '1.price' target a single record of a batch. If there are no invalid params, the problem's 'detail' (or 'title')
+ * is applied to the whole record. The problem's 'type' is used as the error code.
+ *
+ *		{
+ *			type: "https://example.net/validation-error",
+ *			title: "Your request parameters didn't validate.",
+ *			status: 422,
+ *			"invalid-params": [ {
+ *				name: "price",
+ *				reason: "must be a positive number"
+ *			} ]
+ *		}
+ */
+Ext.define('Ext.ux.data.errorreader.Problem', {
+	extend: 'Ext.ux.data.errorreader.Reader',
+	alias: [ 'errorreader.problem', 'errorreader.rfc7807' ],
+
+	/**
+	 * @cfg {String} paramsProperty The extension member listing the invalid params. Defaults to 'invalid-params'
+	 */
+	paramsProperty: 'invalid-params',
+
+	getRecordErrors: function() {
+		// Problem details describe the response as a whole
+		return;
+	},
+
+	getResponseErrors: function(data) {
+		var errors = [],
+			params = data && (data[this.paramsProperty] || data.invalidParams);
+		if (!data || !(data.type || data.title || data.detail || params)) {
+			return errors;
+		}
+		if (!Ext.isEmpty(params)) {
+			Ext.each(params, function(param) {
+				errors.push(Ext.apply(this.parsePath(param.name), {
+					message: param.reason || param.detail,
+					code: param.code || data.type
+				}));
+			}, this);
+		} else {
+			errors.push({
+				message: data.detail || data.title,
+				code: data.type
+			});
+		}
+		return errors;
+	}
+});
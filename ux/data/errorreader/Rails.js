@@ -0,0 +1,63 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Reads Rails-style errors, i.e. the serialized ActiveModel::Errors of a record, from the response to a 'write'
+ * operation. errorreader: 'rails'
+ *
+ * The errors may either be part of each record's raw data (under {@link #errorProperty}), or be the whole response.
+ * Messages under 'base' are applied to the whole record, and a plain Array of messages is treated the same way.
+ *
+ *		{
+ *			errors: {
+ *				name: [ "has already been taken" ],
+ *				base: [ "This plant cannot be edited" ]
+ *			}
+ *		}
+ */
+Ext.define('Ext.ux.data.errorreader.Rails', {
+	extend: 'Ext.ux.data.errorreader.Reader',
+	alias: 'errorreader.rails',
+
+	/**
+	 * @cfg {String} baseProperty The key under which record-level messages are listed. Defaults to 'base'
+	 */
+	baseProperty: 'base',
+
+	getRecordErrors: function(rawData, serverRecord) {
+		var errors = rawData && !Ext.isArray(rawData) && rawData[this.errorProperty];
+		if (Ext.isObject(errors)) {
+			return this.readErrors(errors);
+		}
+		return this.callParent(arguments);
+	},
+
+	getResponseErrors: function(data) {
+		var errors = data && data[this.errorProperty];
+		if (Ext.isObject(errors)) {
+			return this.readErrors(errors);
+		} else if (Ext.isArray(errors)) {
+			// Full messages, e.g. [ "Name has already been taken" ]
+			return Ext.Array.map(Ext.Array.filter(errors, Ext.isString), function(message) {
+				return { message: message };
+			});
+		}
+		return [];
+	},
+
+	/**
+	 * @private
+	 * Converts a { field: [ messages ] } object into an Array of error descriptors.
+	 */
+	readErrors: function(errors) {
+		var descriptors = [];
+		Ext.Object.each(errors, function(field, messages) {
+			Ext.each(Ext.Array.from(messages), function(message) {
+				descriptors.push({
+					field: field === this.baseProperty ? undefined : field,
+					message: message
+				});
+			}, this);
+		}, this);
+		return descriptors;
+	}
+});
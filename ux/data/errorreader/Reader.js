@@ -0,0 +1,109 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Ext.ux.data.errorreader.Reader is the base class for the error readers used by
+ * {@link Ext.ux.data.ValidationEngine} (and so {@link Ext.ux.grid.feature.Validating}) to extract errors from a
+ * server's response to a 'write' operation.
+ * errorreader: 'default'
+ *
+ * A reader has two hooks, either or both of which may find errors:
+ *
+ * - {@link #getRecordErrors} extracts the errors from the raw data of a single record in the response
+ * - {@link #getResponseErrors} extracts the errors from the response as a whole
+ *
+ * This default implementation reads per-record errors from an {@link #errorProperty} (for JSON data) or from the
+ * first index not used by the Model's fields (for {@link Ext.data.ArrayStore} data). It does not read any
+ * response-level errors. Subclasses handle common server formats; see the 'jsonapi', 'problem', 'rails' and
+ * 'spring' readers.
+ *
+ * To write a custom reader, extend this class with an 'errorreader.' alias and select it with the engine's (or the
+ * Feature's) {@link Ext.ux.data.ValidationEngine#errorReader} config.
+ */
+Ext.define('Ext.ux.data.errorreader.Reader', {
+	alias: 'errorreader.default',
+
+	isErrorReader: true,
+
+	/**
+	 * @cfg {String} errorProperty The data property that holds the errors in each record's raw data. Defaults to
+	 *		'errors'
+	 */
+	errorProperty: 'errors',
+
+	constructor: function(config) {
+		Ext.apply(this, config);
+	},
+
+	/**
+	 * @protected
+	 * @template
+	 * Extracts errors from the raw data of a single {@link Ext.data.ResultSet} record.
+	 * @param {Object/Array} rawData The record's raw data, i.e. {@link Ext.data.Model#raw}
+	 * @param {Ext.data.Model} serverRecord The record that the reader created from the raw data
+	 * @return {String/Object/String[]/Object[]}
+	 * - A String (in which case the error is applied to the whole record)
+	 * - A { field, message } object (in which case the error is applied to the specified field). The object may
+	 * also specify a 'code' and a 'severity'.
+	 * - An Array containing either Strings or { field, message } objects
+	 */
+	getRecordErrors: function(rawData, serverRecord) {
+		if (!rawData) {
+			return;
+		}
+		if (Ext.isArray(rawData)) {
+			// Array data; access the first value not matched by a field
+			return rawData[serverRecord.self.getFields().length];
+		} else {
+			// JSON data; return this.errorProperty
+			return rawData[this.errorProperty];
+		}
+	},
+
+	/**
+	 * @protected
+	 * @template
+	 * Extracts errors from the decoded response to an entire operation.
+	 * @param {Object} data The decoded response (see {@link #getResponseData})
+	 * @param {Ext.data.Operation} operation
+	 * @return {Object[]} error descriptors with a 'message', and optionally a 'field', 'code' and 'severity'. To
+	 *		target a single record of the operation, a descriptor may specify the record's 'index' in the operation
+	 *		or its 'id'; otherwise, the error is applied to every record of the operation.
+	 */
+	getResponseErrors: function(data, operation) {
+		return [];
+	},
+
+	/**
+	 * @protected
+	 * Decodes the JSON body of the server's response to an operation, if there is one.
+	 * @param {Ext.data.Operation} operation
+	 * @return {Object} the decoded response, or null
+	 */
+	getResponseData: function(operation) {
+		// Ext JS 5 and 6 keep the response behind a getter
+		var response = Ext.isFunction(operation.getResponse) ? operation.getResponse() : operation.response;
+		return response && response.responseText ? Ext.decode(response.responseText, true) : null;
+	},
+
+	/**
+	 * @protected
+	 * Parses a path to a record field, as found in many server formats, into the record's index and the field's name.
+	 * Handles paths such as 'price', '0.price', '[0].price', 'items[0].price', '/0/price' and '#/0/price'.
+	 * @param {String} path
+	 * @return {Object} { index, field }; either may be undefined
+	 */
+	parsePath: function(path) {
+		var segments = Ext.Array.clean(String(path || '').replace(/^#/, '').split(/[\/\.\[\]]+/)),
+			result = {},
+			i;
+		for (i = 0; i < segments.length; i++) {
+			if (/^\d+$/.test(segments[i])) {
+				result.index = parseInt(segments[i], 10);
+			}
+		}
+		if (segments.length && !/^\d+$/.test(segments[segments.length - 1])) {
+			result.field = segments[segments.length - 1];
+		}
+		return result;
+	}
+});
@@ -0,0 +1,85 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Reads Spring validation errors (a serialized BindingResult) from the response to a 'write' operation.
+ * errorreader: 'spring'
+ *
+ * Both the Spring Boot default error body, with an 'errors' Array of FieldErrors and ObjectErrors, and the common
+ * 'fieldErrors'/'globalErrors' shape are supported. Field paths such as 'plants[1].price' target a single record of
+ * a batch. Errors without a field are applied to the whole record. The error's 'code' is kept as the error code.
+ *
+ *		{
+ *			status: 400,
+ *			error: "Bad Request",
+ *			errors: [ {
+ *				objectName: "plant",
+ *				field: "price",
+ *				code: "Min",
+ *				defaultMessage: "must be greater than or equal to 2"
+ *			} ]
+ *		}
+ */
+Ext.define('Ext.ux.data.errorreader.Spring', {
+	extend: 'Ext.ux.data.errorreader.Reader',
+	alias: 'errorreader.spring',
+
+	getRecordErrors: function(rawData, serverRecord) {
+		var errors;
+		if (rawData && (rawData.fieldErrors || rawData.globalErrors)) {
+			return this.readErrors(rawData, false);
+		}
+		errors = this.callParent(arguments);
+		// The errors under the errorProperty are FieldErrors and ObjectErrors too
+		if (Ext.isArray(errors) || Ext.isObject(errors)) {
+			return Ext.Array.map(Ext.Array.from(errors), function(error) {
+				return this.readError(error, false);
+			}, this);
+		}
+		return errors;
+	},
+
+	getResponseErrors: function(data) {
+		return data ? this.readErrors(data, true) : [];
+	},
+
+	/**
+	 * @private
+	 * Converts FieldErrors and ObjectErrors into error descriptors. Field paths are only resolved to record indexes
+	 * for response-level errors.
+	 */
+	readErrors: function(data, resolvePaths) {
+		var descriptors = [],
+			errors = Ext.Array.push([], data.fieldErrors || [], data.globalErrors || []);
+		if (Ext.isArray(data.errors)) {
+			Ext.Array.push(errors, data.errors);
+		}
+		Ext.each(errors, function(error) {
+			descriptors.push(this.readError(error, resolvePaths));
+		}, this);
+		return descriptors;
+	},
+
+	/**
+	 * @private
+	 * Converts a FieldError or an ObjectError into an error descriptor. A plain String message is kept as it is.
+	 */
+	readError: function(error, resolvePaths) {
+		var descriptor;
+		if (!Ext.isObject(error)) {
+			return error;
+		}
+		descriptor = {
+			message: error.defaultMessage || error.message,
+			code: error.code,
+			severity: error.severity
+		};
+		if (error.field) {
+			if (resolvePaths) {
+				Ext.apply(descriptor, this.parsePath(error.field));
+			} else {
+				descriptor.field = error.field;
+			}
+		}
+		return descriptor;
+	}
+});
@@ -0,0 +1,302 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Ext.ux.data.validationadapter.Adapter is the base class for the adapters which let
+ * {@link Ext.ux.data.ValidationEngine} (and so {@link Ext.ux.grid.feature.Validating}) work with more than one
+ * version of Ext JS' data package. An adapter
+ * supplies the version-specific strategies for:
+ *
+ * - validation: evaluating a record's Model validations ({@link #getModelErrors}), their default messages
+ *   ({@link #getDefaultMessage}), and the collection type used to cache errors ({@link #createErrors})
+ * - raw data: reaching the raw server data of a record returned by a write ({@link #getRawData})
+ * - record matching: pairing up the records of a write operation with those of the server's response
+ *   ({@link #getServerRecords} and {@link #matchClientRecord})
+ * - store access: reaching every record of a filtered store ({@link #getSnapshot}), the names and arguments of the
+ *   events of a store or tree store ({@link #removeEvent}, {@link #treeEvents} and {@link #getTreeLoad}), and
+ *   adding, removing and re-applying a store filter by its id ({@link #addFilter}, {@link #removeFilter},
+ *   {@link #hasFilter} and {@link #refilter})
+ * - associations: reaching the associated records of a record ({@link #getAssociations})
+ *
+ * This base class implements the Ext JS 4 strategies, which rely on {@link Ext.data.Model#validations},
+ * {@link Ext.data.validations}, {@link Ext.data.Errors}, {@link Ext.data.Model#raw} and the Operation's private
+ * matchClientRec function.
+ * validationadapter: 'ext4'
+ *
+ * The engine picks the adapter matching the running version of Ext JS, unless one is configured with its
+ * {@link Ext.ux.data.ValidationEngine#validationAdapter} config (or the Feature's).
+ */
+Ext.define('Ext.ux.data.validationadapter.Adapter', {
+	alias: 'validationadapter.ext4',
+
+	isValidationAdapter: true,
+
+	/**
+	 * @property {String} removeEvent The store event fired with an array of removed records. Like the 'remove' event
+	 * of a TreeStore, it is also fired with whether the records are only being moved, as its fourth argument.
+	 */
+	removeEvent: 'bulkremove',
+	/**
+	 * @property {Object} treeEvents The names of the events a TreeStore fires when a node is appended to, inserted
+	 * into or removed from the tree, keyed 'append', 'insert' and 'remove'. Each is fired with the parent node and
+	 * the node, and the 'remove' event with whether the node is only being moved.
+	 */
+	treeEvents: {
+		append: 'append',
+		insert: 'insert',
+		remove: 'remove'
+	},
+
+	constructor: function(config) {
+		Ext.apply(this, config);
+	},
+
+	/**
+	 * Creates an empty collection of error descriptors, as cached for each record by the engine.
+	 * @return {Ext.util.MixedCollection}
+	 */
+	createErrors: function() {
+		return new Ext.data.Errors();
+	},
+
+	/**
+	 * Evaluates the validations of a record's Model the same way {@link Ext.data.Model#validate} does, but keeps
+	 * each validation's type, code, config and 'severity' on the resulting error descriptor. If the Model overrides
+	 * {@link Ext.data.Model#validate}, its results are used instead (see {@link #getValidateErrors}).
+	 * @param {Ext.data.Model} record
+	 * @param {String[]} fieldNames Optional; only evaluate the validations of these fields
+	 * @return {Object[]} error descriptors with a 'field', 'type', 'params' and 'severity', and optionally a
+	 *		'message' and a 'code'
+	 */
+	getModelErrors: function(record, fieldNames) {
+		var errors = [];
+		if (this.isValidateOverridden(record)) {
+			return this.getValidateErrors(record, fieldNames);
+		}
+		Ext.each(record.validations, function(validation) {
+			var field = validation.field || validation.name,
+				error;
+			if (fieldNames && !Ext.Array.contains(fieldNames, field)) {
+				return;
+			}
+			error = this.validateValue(validation, field, record.get(field), record);
+			if (error) {
+				errors.push(error);
+			}
+		}, this);
+		return errors;
+	},
+
+	/**
+	 * Returns true if the Model of a record overrides {@link Ext.data.Model#validate}, whose errors must then be
+	 * taken from the record's own validate method.
+	 * @param {Ext.data.Model} record
+	 * @return {Boolean}
+	 */
+	isValidateOverridden: function(record) {
+		return record.validate !== Ext.data.Model.prototype.validate;
+	},
+
+	/**
+	 * Converts the errors returned by a record's {@link Ext.data.Model#validate} into error descriptors. An error
+	 * whose field and message match one of the Model's validations keeps that validation's type, code, config and
+	 * 'severity'; any other error is blocking, and its message is used as-is.
+	 * @param {Ext.data.Model} record
+	 * @param {String[]} fieldNames Optional; only return the errors of these fields
+	 * @return {Object[]} error descriptors
+	 */
+	getValidateErrors: function(record, fieldNames) {
+		var errors = [];
+		record.validate().each(function(item) {
+			var field = Ext.isFunction(item.getField) ? item.getField() : item.field,
+				message = Ext.isFunction(item.getMessage) ? item.getMessage() : item.message,
+				validation;
+			if (fieldNames && !Ext.Array.contains(fieldNames, field)) {
+				return;
+			}
+			Ext.each(record.validations, function(candidate) {
+				if ((candidate.field || candidate.name) === field && (candidate.message === message ||
+						this.getDefaultMessage(candidate) === message)) {
+					validation = candidate;
+					return false;
+				}
+			}, this);
+			errors.push(validation ? this.createError(validation, field) : {
+				field: field,
+				message: message,
+				params: {},
+				severity: 'error'
+			});
+		}, this);
+		return errors;
+	},
+
+	/**
+	 * Checks a single value against a validation config, such as one declared by a grid column (see
+	 * {@link Ext.ux.grid.feature.Validating}).
+	 * @param {Object} validation The validation config, with a 'type' and optionally a 'message', 'code' and 'severity'
+	 * @param {String} field The name of the field the value belongs to
+	 * @param {Object} value
+	 * @param {Ext.data.Model} record The record the value belongs to
+	 * @return {Object} an error descriptor in the same format as those of {@link #getModelErrors}, or null if the
+	 *		value is valid
+	 */
+	validateValue: function(validation, field, value, record) {
+		if (Ext.data.validations[validation.type](validation, value)) {
+			return null;
+		}
+		return this.createError(validation, field);
+	},
+
+	/**
+	 * @private
+	 * Creates the error descriptor for a field which failed a validation config.
+	 */
+	createError: function(validation, field) {
+		return {
+			field: field,
+			message: validation.message,
+			type: validation.type,
+			code: validation.code,
+			params: validation,
+			severity: validation.severity || 'error'
+		};
+	},
+
+	/**
+	 * Returns the built-in message for an error of a type of validation, used when neither the error nor the
+	 * Feature's message bundle provide one.
+	 * @param {Object} error The error descriptor
+	 * @return {String}
+	 */
+	getDefaultMessage: function(error) {
+		return Ext.data.validations[error.type + 'Message'];
+	},
+
+	/**
+	 * Returns the raw data a record was read from.
+	 * @param {Ext.data.Model} record A record created by a reader
+	 * @return {Object/Array}
+	 */
+	getRawData: function(record) {
+		return record.raw;
+	},
+
+	/**
+	 * Returns the records the reader created from the server's response to an operation.
+	 * @param {Ext.data.Operation} operation
+	 * @return {Ext.data.Model[]}
+	 */
+	getServerRecords: function(operation) {
+		var resultSet = operation.getResultSet();
+		return (resultSet && resultSet.records) || [];
+	},
+
+	/**
+	 * Returns true if a record of the server's response corresponds to a record of the operation.
+	 * @param {Ext.data.Operation} operation
+	 * @param {Ext.data.Model} clientRecord A record of the operation
+	 * @param {Ext.data.Model} serverRecord A record of the response
+	 * @return {Boolean}
+	 */
+	matchClientRecord: function(operation, clientRecord, serverRecord) {
+		// Use the Operation's private matchClientRec function to make the job easier
+		return operation.matchClientRec.call(clientRecord, serverRecord);
+	},
+
+	/**
+	 * Returns the hasMany and hasOne associations of a record, along with their records. Only the associated records
+	 * which are already loaded are returned; a hasOne association is named after its associationKey.
+	 * @param {Ext.data.Model} record
+	 * @return {Object[]} objects with the association's 'name', its 'records', and the 'store' of a hasMany
+	 *		association
+	 */
+	getAssociations: function(record) {
+		var associations = [];
+		Ext.each(record.associations ? record.associations.getRange() : [], function(association) {
+			var store,
+				instance;
+			if (association.type === 'hasMany') {
+				store = record[association.name]();
+				associations.push({
+					name: association.name,
+					store: store,
+					records: this.getSnapshot(store).getRange()
+				});
+			} else if (association.type === 'hasOne') {
+				instance = record[association.instanceName];
+				associations.push({
+					name: association.associationKey,
+					records: instance ? [ instance ] : []
+				});
+			}
+		}, this);
+		return associations;
+	},
+
+	/**
+	 * Normalizes the arguments of a TreeStore's 'load' event.
+	 * @param {Array} args The arguments of the event
+	 * @return {Object} an object with the 'node' that was loaded, its loaded child 'records', and whether the load
+	 *		was 'successful'
+	 */
+	getTreeLoad: function(args) {
+		return {
+			node: args[1],
+			records: args[2],
+			successful: args[3]
+		};
+	},
+
+	/**
+	 * Returns the collection of every record of a store, including those which are filtered out.
+	 * @param {Ext.data.Store} store
+	 * @return {Ext.util.MixedCollection}
+	 */
+	getSnapshot: function(store) {
+		return store.snapshot || store.data;
+	},
+
+	/**
+	 * Adds a filter to a store, alongside its other filters, replacing any filter with the same id.
+	 * @param {Ext.data.Store} store
+	 * @param {Object} filter The filter config, with an 'id' and a 'filterFn'
+	 */
+	addFilter: function(store, filter) {
+		store.filter(filter);
+	},
+
+	/**
+	 * Removes a filter from a store by its id, and re-applies the store's other filters, if any.
+	 * @param {Ext.data.Store} store
+	 * @param {String} id
+	 */
+	removeFilter: function(store, id) {
+		store.filters.removeAtKey(id);
+		if (store.filters.getCount()) {
+			store.filter();
+		} else {
+			store.clearFilter();
+		}
+	},
+
+	/**
+	 * Returns true if a store has a filter with the given id, i.e. it has not been removed by
+	 * {@link Ext.data.Store#clearFilter} or the like.
+	 * @param {Ext.data.Store} store
+	 * @param {String} id
+	 * @return {Boolean}
+	 */
+	hasFilter: function(store, id) {
+		return store.filters.containsKey(id);
+	},
+
+	/**
+	 * Re-applies the filters of a store, including the one with the given id, e.g. after the records it lets through
+	 * have changed.
+	 * @param {Ext.data.Store} store
+	 * @param {String} id
+	 */
+	refilter: function(store, id) {
+		store.filter();
+	}
+});
@@ -0,0 +1,194 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Ext.ux.data.validationadapter.Validators adapts {@link Ext.ux.grid.feature.Validating} to the data package of
+ * Ext JS 5 and 6, where validation is done by {@link Ext.data.validator.Validator} instances and reported by
+ * {@link Ext.data.Model#getValidation}.
+ * validationadapter: 'ext5'
+ *
+ * Each field's validators are evaluated one by one, so that every failure keeps its validator's type and config:
+ * those declared on the field itself as well as those declared per field in the Model's 'validators' config. A
+ * validator's config may specify a 'code' and a 'severity', as in Ext JS 4:
+ *
+ *		validators: {
+ *			common: 'presence',
+ *			price: { type: 'range', min: 0, severity: 'warning' }
+ *		}
+ *
+ * The message returned by a validator is used unless the Feature's {@link Ext.ux.grid.feature.Validating#messages}
+ * bundle has one for the validator's type; a 'message' in the validator's config takes precedence over both.
+ *
+ * Records no longer keep their raw data, but the data object a record is read from becomes its data, including any
+ * properties which are not fields. The errors the server sends per record are therefore read from the record's
+ * data; errors in {@link Ext.data.ArrayStore} data cannot be read per record.
+ *
+ * Only the to-many associations of a record (its hasMany roles) are followed.
+ *
+ * If the Model overrides {@link Ext.data.Model#validate}, the errors it returns are used instead of the validators,
+ * as plain blocking errors.
+ *
+ * Evaluating the validators one by one relies on private API of {@link Ext.data.field.Field}: its compileValidators
+ * method and the _validators array it fills, as found in Ext JS 5.0 through 6.x. If a version does not have them, a
+ * field's errors are taken from {@link Ext.data.Model#validate} instead, as plain blocking errors.
+ */
+Ext.define('Ext.ux.data.validationadapter.Validators', {
+	extend: 'Ext.ux.data.validationadapter.Adapter',
+	alias: 'validationadapter.ext5',
+
+	removeEvent: 'remove',
+	treeEvents: {
+		append: 'nodeappend',
+		insert: 'nodeinsert',
+		remove: 'noderemove'
+	},
+
+	createErrors: function() {
+		return new Ext.util.MixedCollection();
+	},
+
+	getModelErrors: function(record, fieldNames) {
+		var errors = [],
+			uncompiled = [];
+		if (this.isValidateOverridden(record)) {
+			return this.getValidateErrors(record, fieldNames);
+		}
+		Ext.each(record.getFields(), function(field) {
+			var value,
+				validators;
+			if (fieldNames && !Ext.Array.contains(fieldNames, field.name)) {
+				return;
+			}
+			validators = this.getFieldValidators(field);
+			if (!validators) {
+				uncompiled.push(field.name);
+				return;
+			}
+			value = record.get(field.name);
+			Ext.each(validators, function(validator) {
+				var error = this.getValidatorError(validator, field.name, value, record);
+				if (error) {
+					error.defaultMessage = error.defaultMessage || field.defaultInvalidMessage;
+					errors.push(error);
+				}
+			}, this);
+		}, this);
+		return uncompiled.length ? errors.concat(this.getValidateErrors(record, uncompiled)) : errors;
+	},
+
+	/**
+	 * @private
+	 * Returns the validators of a field: its own and those declared for it on the Model, which the Field compiles on
+	 * first use. Returns null if this version's Field does not have the private API this relies on.
+	 */
+	getFieldValidators: function(field) {
+		if (!field._validators && Ext.isFunction(field.compileValidators)) {
+			field.compileValidators();
+		}
+		return Ext.isArray(field._validators) ? field._validators : null;
+	},
+
+	/**
+	 * The validation config is turned into an {@link Ext.data.validator.Validator} by its 'type', e.g. 'presence' or
+	 * 'range'.
+	 */
+	validateValue: function(validation, field, value, record) {
+		return this.getValidatorError(Ext.Factory.dataValidator(validation), field, value, record);
+	},
+
+	/**
+	 * @private
+	 * Runs a validator, and returns an error descriptor if the value fails it.
+	 */
+	getValidatorError: function(validator, field, value, record) {
+		var result = validator.validate(value, record),
+			config = validator.initialConfig || {};
+		if (result === true) {
+			return null;
+		}
+		return {
+			field: field,
+			message: config.message,
+			defaultMessage: result || undefined,
+			type: validator.type,
+			code: config.code,
+			params: Ext.apply({}, config),
+			severity: config.severity || 'error'
+		};
+	},
+
+	getDefaultMessage: function(error) {
+		return error.defaultMessage;
+	},
+
+	getRawData: function(record) {
+		return record.data;
+	},
+
+	getServerRecords: function(operation) {
+		var resultSet = operation.getResultSet();
+		return (resultSet && resultSet.getRecords()) || [];
+	},
+
+	matchClientRecord: function(operation, clientRecord, serverRecord) {
+		var clientIdProperty = clientRecord.clientIdProperty,
+			clientId = clientIdProperty && serverRecord.data[clientIdProperty];
+		// Match by the client id echoed back by the server, if there is one, and by id otherwise
+		if (!Ext.isEmpty(clientId)) {
+			return String(clientId) === String(clientRecord.getId());
+		}
+		return String(serverRecord.getId()) === String(clientRecord.getId());
+	},
+
+	getAssociations: function(record) {
+		var associations = [];
+		Ext.Object.each(record.associations, function(name, role) {
+			var store;
+			if (role.isMany) {
+				store = record[role.getterName]();
+				associations.push({
+					name: name,
+					store: store,
+					records: this.getSnapshot(store).getRange()
+				});
+			}
+		}, this);
+		return associations;
+	},
+
+	getTreeLoad: function(args) {
+		return {
+			node: args[4],
+			records: args[1],
+			successful: args[2]
+		};
+	},
+
+	getSnapshot: function(store) {
+		var data = store.getData();
+		return data.getSource() || data;
+	},
+
+	addFilter: function(store, filter) {
+		store.addFilter(filter);
+	},
+
+	removeFilter: function(store, id) {
+		store.removeFilter(id);
+	},
+
+	hasFilter: function(store, id) {
+		return !!store.getFilters().get(id);
+	},
+
+	/**
+	 * Filters are only re-applied when the store's filter collection changes, so the filter is removed without
+	 * filtering, and added back.
+	 */
+	refilter: function(store, id) {
+		var filter = store.getFilters().get(id);
+		if (filter) {
+			store.removeFilter(filter, true);
+			store.addFilter(filter);
+		}
+	}
+});
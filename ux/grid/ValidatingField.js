@@ -0,0 +1,267 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Ext.ux.grid.ValidatingField is a hidden form field which stands in for a grid with a
+ * {@link Ext.ux.grid.feature.Validating} Feature, so that the grid takes part in the validation of an enclosing
+ * {@link Ext.form.Panel}. The field is valid while the grid is, so {@link Ext.form.Basic#isValid} and buttons with
+ * 'formBind' take the grid's errors into account, and its {@link #getErrors} lists them.
+ * xtype: 'validatingfield'
+ *
+ * The field can be docked to the grid it stands in for, in which case the {@link #grid} config can be omitted:
+ *
+ *		{
+ *			xtype: 'grid',
+ *			features: [ { ftype: 'validating' } ],
+ *			dockedItems: [ {
+ *				xtype: 'validatingfield',
+ *				name: 'lines'
+ *			} ],
+ *			...
+ *		}
+ *
+ * Or it can be placed anywhere else in the form, in which case it needs a reference to the grid:
+ *
+ *		{
+ *			xtype: 'validatingfield',
+ *			name: 'lines',
+ *			grid: 'grid#lines'
+ *		}
+ *
+ * When a form submit fails, {@link Ext.form.Basic#markInvalid} passes the field the errors the server sent under its
+ * {@link #name}. Errors which name a row are shown on the grid; see {@link #markInvalid}.
+ *
+ * The field does not submit a value; the grid's records are expected to be saved by its store, or serialized by the
+ * application.
+ */
+Ext.define('Ext.ux.grid.ValidatingField', {
+	extend: 'Ext.Component',
+	alias: 'widget.validatingfield',
+	mixins: {
+		field: 'Ext.form.field.Field'
+	},
+
+	/**
+	 * @cfg {Ext.grid.Panel/String} grid The grid to stand in for, or a {@link Ext.ComponentQuery} selector or id that
+	 *		identifies it. The grid must have a {@link Ext.ux.grid.feature.Validating} Feature. Defaults to the grid
+	 *		this field is docked to (if any).
+	 */
+	/**
+	 * @cfg {String} errorSource The source of the row errors passed to {@link #markInvalid}, which
+	 *		{@link #clearInvalid} (and so {@link Ext.form.Basic#reset}) removes again. Defaults to 'server'
+	 */
+	errorSource: 'server',
+	/**
+	 * @cfg {String} rowErrorText The format of each message returned by {@link #getErrors}. The row number is
+	 *		substituted for {0}, and the error message (as shown in the cell's tooltip) for {1}. Defaults to
+	 *		'Row {0}: {1}'
+	 */
+	rowErrorText: 'Row {0}: {1}',
+
+	hidden: true,
+	submitValue: false,
+
+	initComponent: function() {
+		this.formErrors = [];
+		this.callParent(arguments);
+		this.initField();
+	},
+
+	afterRender: function() {
+		this.callParent(arguments);
+		this.getFeature();
+	},
+
+	/**
+	 * Binds this field to a grid with a {@link Ext.ux.grid.feature.Validating} Feature, unbinding it from any
+	 * previous grid.
+	 * @param {Ext.grid.Panel/String} grid The grid, or a {@link Ext.ComponentQuery} selector or id that identifies it
+	 */
+	bindGrid: function(grid) {
+		if (Ext.isString(grid)) {
+			grid = Ext.ComponentQuery.query(grid)[0] || Ext.getCmp(grid);
+		}
+		if (this.feature) {
+			this.feature.un('errorschange', this.onErrorsChange, this);
+		}
+		this.grid = grid;
+		this.feature = grid && grid.validatingFeature;
+		if (this.feature) {
+			this.feature.on('errorschange', this.onErrorsChange, this);
+			this.validate();
+		}
+	},
+
+	/**
+	 * @private
+	 * Returns the Feature of the bound grid, binding the {@link #grid} first if needed; the form may check the field
+	 * before it is rendered.
+	 */
+	getFeature: function() {
+		if (!this.feature && !this.isDestroyed) {
+			this.bindGrid(this.grid || this.up('tablepanel'));
+		}
+		return this.feature;
+	},
+
+	/**
+	 * @private
+	 * Revalidates the field whenever the grid's errors change, which fires 'validitychange' for the form. Messages
+	 * passed to {@link #markInvalid} which don't name a row only last until then.
+	 */
+	onErrorsChange: function() {
+		this.formErrors = [];
+		this.validate();
+	},
+
+	/**
+	 * Returns true if the grid has no blocking errors and no pending asynchronous rules, and no message passed to
+	 * {@link #markInvalid} is still outstanding.
+	 * @return {Boolean}
+	 */
+	isValid: function() {
+		var feature = this.getFeature();
+		return this.disabled || (!this.formErrors.length && (!feature || feature.isValid() === true));
+	},
+
+	/**
+	 * Returns the messages of the grid's blocking errors, in row order, each formatted by {@link #rowErrorText},
+	 * followed by those passed to {@link #markInvalid} which don't name a row.
+	 * @return {String[]}
+	 */
+	getErrors: function() {
+		var me = this,
+			feature = me.getFeature(),
+			errors = [],
+			store;
+		if (feature) {
+			store = feature.view.getStore();
+			Ext.each(feature.getRecords(true), function(record) {
+				var row = store.indexOf(record) + 1;
+				Ext.each(feature.getRecordErrors(record), function(error) {
+					if (error.severity === feature.severities[0]) {
+						errors.push(Ext.String.format(me.rowErrorText, row || '?',
+								Ext.String.htmlDecode(error.message)));
+					}
+				});
+			});
+		}
+		return Ext.Array.push(errors, me.formErrors);
+	},
+
+	/**
+	 * Shows errors sent by the server for the grid, as passed by {@link Ext.form.Basic#markInvalid}. The errors may
+	 * be given as:
+	 *
+	 * - a String, or an Array of Strings: messages about the grid as a whole, which are reported by
+	 *   {@link #getErrors} and keep the field invalid until the grid's errors next change
+	 * - an error descriptor, or an Array of them, with a 'message' and optionally a 'field', 'code', 'params' and
+	 *   'severity' (see {@link Ext.ux.grid.feature.Validating#setErrors}). A descriptor names its row by 'index'
+	 *   (the row's index in the grid's store) or by the record's 'id'; one which names no row is treated like a
+	 *   String.
+	 * - an Object which maps paths to messages, e.g. { '2.price': 'must be positive' }. The paths are parsed by the
+	 *   Feature's {@link Ext.ux.grid.feature.Validating#errorReader} into a row index and a field (see
+	 *   {@link Ext.ux.data.errorreader.Reader#parsePath}).
+	 *
+	 * The errors of rows are added to the grid with the {@link #errorSource}.
+	 * @param {String/String[]/Object/Object[]} errors
+	 */
+	markInvalid: function(errors) {
+		var me = this,
+			feature = me.getFeature(),
+			rowErrors = [],
+			messages = [];
+		Ext.each(me.normalizeErrors(errors), function(error) {
+			var record = feature && me.findRecord(error);
+			if (record) {
+				rowErrors.push(Ext.apply({}, {
+					record: record,
+					source: me.errorSource
+				}, error));
+			} else if (!Ext.isEmpty(error.message)) {
+				messages.push(String(error.message));
+			}
+		});
+		if (rowErrors.length) {
+			feature.setErrors(rowErrors);
+		}
+		// Set after the rows' errors, whose 'errorschange' clears the messages
+		me.formErrors = messages;
+		me.validate();
+	},
+
+	/**
+	 * Removes the errors passed to {@link #markInvalid}: the messages about the grid as a whole, and every error of
+	 * the {@link #errorSource} from the grid.
+	 */
+	clearInvalid: function() {
+		var feature = this.getFeature();
+		this.formErrors = [];
+		if (feature) {
+			feature.clearErrors(this.errorSource);
+		}
+		this.validate();
+	},
+
+	/**
+	 * @private
+	 * Converts the errors passed to {@link #markInvalid} into an Array of descriptors.
+	 */
+	normalizeErrors: function(errors) {
+		var feature = this.feature,
+			result = [];
+		if (Ext.isObject(errors) && !Ext.isDefined(errors.message) && !Ext.isDefined(errors.code)) {
+			// A map of paths to messages
+			Ext.Object.each(errors, function(path, messages) {
+				var location = feature ? feature.errorReader.parsePath(path) : {};
+				Ext.each(Ext.Array.from(messages), function(message) {
+					result.push(Ext.apply({
+						message: message
+					}, location));
+				});
+			});
+			return result;
+		}
+		Ext.each(Ext.Array.from(errors), function(error) {
+			result.push(Ext.isObject(error) ? error : {
+				message: error
+			});
+		});
+		return result;
+	},
+
+	/**
+	 * @private
+	 * Returns the record an error descriptor names by 'index' or 'id', or null if there is none.
+	 */
+	findRecord: function(error) {
+		var feature = this.feature,
+			found = null;
+		if (Ext.isNumber(error.index)) {
+			return feature.view.getStore().getAt(error.index) || null;
+		}
+		if (!Ext.isEmpty(error.id)) {
+			Ext.each(feature.getRecords(true), function(record) {
+				if (String(record.getId()) === String(error.id)) {
+					found = record;
+					return false;
+				}
+			});
+		}
+		return found;
+	},
+
+	/**
+	 * The field has no value of its own, so it never changes the record of {@link Ext.form.Basic#updateRecord}.
+	 * @return {Object}
+	 */
+	getModelData: function() {
+		return {};
+	},
+
+	onDestroy: function() {
+		if (this.feature) {
+			this.feature.un('errorschange', this.onErrorsChange, this);
+		}
+		this.callParent(arguments);
+	}
+});
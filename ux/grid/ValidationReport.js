@@ -0,0 +1,148 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Ext.ux.grid.ValidationReport is a snapshot of the errors cached by a {@link Ext.ux.grid.feature.Validating}
+ * Feature, as returned by its {@link Ext.ux.grid.feature.Validating#getErrorReport} method. Each row of the report
+ * is a plain object with the following properties:
+ *
+ * - recordId: the id of the record
+ * - rowIndex: the record's index in the store, or -1 if it is filtered out
+ * - field: the name of the field, or null for a record-level error
+ * - column: the plain-text header of the field's column, or null if there is none
+ * - message: the plain-text error message
+ * - source: the source of the error, e.g. 'model' or 'server'
+ * - severity: 'error', 'warning' or 'info'
+ * - code: the error code, or null if there is none
+ *
+ * A report can be serialized with {@link #toJson} or {@link #toCsv}, and compared to an earlier report with
+ * {@link #diff}, e.g. to show which errors a re-import fixed and which are new:
+ *
+ *		var before = feature.getErrorReport(),
+ *			after;
+ *		// ... re-import ...
+ *		after = feature.getErrorReport();
+ *		console.log(after.diff(before).fixed.toCsv());
+ */
+Ext.define('Ext.ux.grid.ValidationReport', {
+
+	/**
+	 * @property {String[]} columns
+	 * The properties of each row, in the order they are serialized by {@link #toCsv}.
+	 */
+	columns: [ 'recordId', 'rowIndex', 'field', 'column', 'message', 'source', 'severity', 'code' ],
+
+	/**
+	 * @param {Object[]} rows The rows of the report
+	 */
+	constructor: function(rows) {
+		this.rows = rows || [];
+	},
+
+	/**
+	 * Returns the rows of the report.
+	 * @return {Object[]}
+	 */
+	getRows: function() {
+		return this.rows;
+	},
+
+	/**
+	 * Returns the number of rows in the report.
+	 * @return {Number}
+	 */
+	getCount: function() {
+		return this.rows.length;
+	},
+
+	/**
+	 * Serializes the rows of the report as a JSON array.
+	 * @return {String}
+	 */
+	toJson: function() {
+		return Ext.encode(this.rows);
+	},
+
+	/**
+	 * Serializes the report as CSV (RFC 4180), with a header line listing the {@link #columns}. Text which a
+	 * spreadsheet would read as a formula is prefixed with an apostrophe.
+	 * @param {String} separator Optional; the field separator. Defaults to ','
+	 * @return {String}
+	 */
+	toCsv: function(separator) {
+		var me = this,
+			lines = [];
+		separator = separator || ',';
+		lines.push(Ext.Array.map(me.columns, function(column) {
+			return me.quoteCsv(column, separator);
+		}).join(separator));
+		Ext.each(me.rows, function(row) {
+			lines.push(Ext.Array.map(me.columns, function(column) {
+				return me.quoteCsv(row[column], separator);
+			}).join(separator));
+		});
+		return lines.join('\r\n');
+	},
+
+	/**
+	 * @private
+	 * Converts a value to a CSV field, quoting it if it contains the separator, a quote or a line break. A String
+	 * which a spreadsheet would read as a formula (starting with =, +, -, @, a tab or a carriage return) is
+	 * prefixed with an apostrophe, since values and messages may come from users or the server.
+	 */
+	quoteCsv: function(value, separator) {
+		if (Ext.isString(value) && /^[=+\-@\t\r]/.test(value)) {
+			value = '\'' + value;
+		}
+		value = value === null || !Ext.isDefined(value) ? '' : String(value);
+		if (value.indexOf(separator) > -1 || /["\r\n]/.test(value)) {
+			value = '"' + value.replace(/"/g, '""') + '"';
+		}
+		return value;
+	},
+
+	/**
+	 * Compares this report to an earlier one. Rows are matched by record id, field, source, and code (or message,
+	 * if there is no code); the row index is ignored, since it changes with sorting and filtering.
+	 * @param {Ext.ux.grid.ValidationReport} previous The earlier report
+	 * @return {Object} an object with three reports:
+	 * - fixed: the rows of the earlier report which are not in this one
+	 * - added: the rows of this report which were not in the earlier one
+	 * - remaining: the rows of this report which were in the earlier one too
+	 */
+	diff: function(previous) {
+		var me = this,
+			previousKeys = {},
+			keys = {},
+			diff = {
+				fixed: [],
+				added: [],
+				remaining: []
+			};
+		Ext.each(previous.rows, function(row) {
+			previousKeys[me.getKey(row)] = true;
+		});
+		Ext.each(me.rows, function(row) {
+			var key = me.getKey(row);
+			keys[key] = true;
+			diff[previousKeys[key] ? 'remaining' : 'added'].push(row);
+		});
+		Ext.each(previous.rows, function(row) {
+			if (!keys[me.getKey(row)]) {
+				diff.fixed.push(row);
+			}
+		});
+		return {
+			fixed: new me.self(diff.fixed),
+			added: new me.self(diff.added),
+			remaining: new me.self(diff.remaining)
+		};
+	},
+
+	/**
+	 * @private
+	 * Returns the key used to match a row across reports.
+	 */
+	getKey: function(row) {
+		return Ext.encode([ row.recordId, row.field, row.source, row.code || row.message ]);
+	}
+});
@@ -0,0 +1,251 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Ext.ux.grid.ValidationSummary is a companion component for {@link Ext.ux.grid.feature.Validating}. It lists every
+ * error currently cached by a grid's Validating Feature, in the form "row label / column text: message", and updates
+ * live as errors come and go. Clicking an entry selects and focuses the offending cell. The errors of records which are
+ * filtered out of the grid are still listed, but are marked with {@link #filteredText} and cannot be clicked.
+ * xtype: 'validationsummary'
+ *
+ * The summary can be docked to the grid it describes, in which case the {@link #grid} config can be omitted:
+ *
+ *		dockedItems: [ {
+ *			xtype: 'validationsummary',
+ *			dock: 'bottom',
+ *			maxHeight: 80,
+ *			rowLabel: 'common'
+ *		} ]
+ *
+ * Or it can be placed in a separate panel, in which case it needs a reference to the grid:
+ *
+ *		{
+ *			xtype: 'validationsummary',
+ *			grid: 'grid#plants',
+ *			groupBy: 'field'
+ *		}
+ */
+Ext.define('Ext.ux.grid.ValidationSummary', {
+	extend: 'Ext.view.View',
+	alias: 'widget.validationsummary',
+
+	/**
+	 * @cfg {Ext.grid.Panel/String} grid The grid to summarize, or a {@link Ext.ComponentQuery} selector or id that
+	 *		identifies it. The grid must have a {@link Ext.ux.grid.feature.Validating} Feature. Defaults to the grid
+	 *		this component is docked to (if any).
+	 */
+	/**
+	 * @cfg {String} groupBy How to group the entries: 'record', 'field' or 'source'. Defaults to 'record'
+	 */
+	groupBy: 'record',
+	/**
+	 * @cfg {String/Function} rowLabel How to label a row. Either the name of a field whose value labels the row, or a
+	 *		function which is passed the record and its (1-based) row number and returns the label. Defaults to
+	 *		{@link #rowText}.
+	 */
+	/**
+	 * @cfg {String} rowText The format used to label a row if no {@link #rowLabel} is configured. The row number is
+	 *		substituted for {0}. Defaults to 'Row {0}'
+	 */
+	rowText: 'Row {0}',
+	/**
+	 * @cfg {String} recordText The group heading used for record-level errors when grouping by field. Defaults to
+	 *		'Record'
+	 */
+	recordText: 'Record',
+	/**
+	 * @cfg {String} filteredText Appended to the label of an entry whose record is filtered out of the grid. Defaults
+	 *		to '(filtered out)'
+	 */
+	filteredText: '(filtered out)',
+	/**
+	 * @cfg {Object} sourceText The group headings used when grouping by source, keyed by source. Sources which are
+	 *		not listed are used as their own heading.
+	 */
+	sourceText: {
+		model: 'Validation',
+		server: 'Server',
+		manual: 'Other'
+	},
+
+	emptyText: 'No errors',
+	deferEmptyText: false,
+	autoScroll: true,
+	cls: Ext.baseCSSPrefix + 'validation-summary',
+	itemSelector: 'div.' + Ext.baseCSSPrefix + 'validation-summary-item',
+	overItemCls: Ext.baseCSSPrefix + 'validation-summary-item-over',
+
+	tpl: [
+		'<tpl for=".">',
+			'<tpl if="xindex === 1 || parent[xindex - 2].group !== values.group">',
+				'<div class="' + Ext.baseCSSPrefix + 'validation-summary-group">{group:htmlEncode}</div>',
+			'</tpl>',
+			'<div class="' + Ext.baseCSSPrefix + 'validation-summary-item ' +
+					Ext.baseCSSPrefix + 'validation-summary-{severity}' +
+					'<tpl if="filtered"> ' + Ext.baseCSSPrefix + 'validation-summary-filtered</tpl>">',
+				'{label:htmlEncode}<tpl if="message">: {message:htmlEncode}</tpl>',
+			'</div>',
+		'</tpl>'
+	],
+
+	initComponent: function() {
+		this.store = Ext.create('Ext.data.Store', {
+			fields: [ 'record', 'field', 'group', 'label', 'message', 'severity', 'source', 'filtered' ]
+		});
+		this.callParent(arguments);
+		this.on('itemclick', this.onEntryClick, this);
+	},
+
+	afterRender: function() {
+		this.callParent(arguments);
+		if (!this.feature) {
+			this.bindGrid(this.grid || this.up('tablepanel'));
+		}
+	},
+
+	/**
+	 * Binds this summary to a grid with a {@link Ext.ux.grid.feature.Validating} Feature, unbinding it from any
+	 * previous grid.
+	 * @param {Ext.grid.Panel/String} grid The grid, or a {@link Ext.ComponentQuery} selector or id that identifies it
+	 */
+	bindGrid: function(grid) {
+		if (Ext.isString(grid)) {
+			grid = Ext.ComponentQuery.query(grid)[0] || Ext.getCmp(grid);
+		}
+		if (this.feature) {
+			this.feature.un('errorschange', this.refreshEntries, this);
+			this.mun(this.viewStore, 'refresh', this.refreshEntries, this);
+		}
+		this.grid = grid;
+		this.feature = grid && grid.validatingFeature;
+		if (this.feature) {
+			this.feature.on('errorschange', this.refreshEntries, this, { buffer: 50 });
+			// Filtering the grid changes which entries are marked as filtered out
+			this.viewStore = this.feature.view.getStore();
+			this.mon(this.viewStore, 'refresh', this.refreshEntries, this, { buffer: 50 });
+		}
+		this.refreshEntries();
+	},
+
+	/**
+	 * Changes how the entries are grouped.
+	 * @param {String} groupBy 'record', 'field' or 'source'
+	 */
+	setGroupBy: function(groupBy) {
+		this.groupBy = groupBy;
+		this.refreshEntries();
+	},
+
+	/**
+	 * @private
+	 * Rebuilds the list of entries from the Feature's error cache.
+	 */
+	refreshEntries: function() {
+		this.store.loadData(this.feature ? this.getEntries() : []);
+	},
+
+	/**
+	 * @private
+	 * Builds an entry for every cached error, sorted by group.
+	 */
+	getEntries: function() {
+		var me = this,
+			errorMap = me.feature.errorMap,
+			viewStore = me.feature.view.getStore(),
+			entries = [];
+		Ext.each(me.feature.getRecords(true), function(record) {
+			var recordErrors = errorMap.getByKey(record.internalId),
+				filtered = viewStore.indexOf(record) < 0,
+				rowLabel;
+			if (recordErrors) {
+				rowLabel = me.getRowLabel(record);
+				if (filtered) {
+					rowLabel += ' ' + me.filteredText;
+				}
+				recordErrors.each(function(error) {
+					var field = error.record ? null : error.field,
+						columnText = field ? me.getColumnText(field) : '',
+						message = me.feature.getErrorMessage(error, record),
+						source = error.source || 'model';
+					entries.push({
+						record: record,
+						field: field,
+						group: me.getGroup(rowLabel, columnText, source),
+						label: me.groupBy === 'field' ? rowLabel :
+								Ext.Array.clean([ rowLabel, columnText ]).join(' / '),
+						message: message,
+						severity: error.severity || 'error',
+						source: source,
+						filtered: filtered
+					});
+				});
+			}
+		});
+		if (me.groupBy !== 'record') {
+			// Keep the row order within each group by breaking ties on the original position
+			Ext.each(entries, function(entry, i) {
+				entry.index = i;
+			});
+			entries = Ext.Array.sort(entries, function(a, b) {
+				return a.group < b.group ? -1 : a.group > b.group ? 1 : a.index - b.index;
+			});
+		}
+		return entries;
+	},
+
+	/**
+	 * @private
+	 * Returns the group heading for an entry, according to {@link #groupBy}.
+	 */
+	getGroup: function(rowLabel, columnText, source) {
+		switch (this.groupBy) {
+			case 'field':
+				return columnText || this.recordText;
+			case 'source':
+				return (this.sourceText && this.sourceText[source]) || source;
+			default:
+				return rowLabel;
+		}
+	},
+
+	/**
+	 * @private
+	 * Labels a row according to {@link #rowLabel}.
+	 */
+	getRowLabel: function(record) {
+		var rowLabel = this.rowLabel,
+			row = this.feature.view.getStore().indexOf(record) + 1;
+		if (Ext.isFunction(rowLabel)) {
+			return rowLabel.call(this, record, row);
+		} else if (rowLabel && !Ext.isEmpty(record.get(rowLabel))) {
+			return String(record.get(rowLabel));
+		}
+		return Ext.String.format(this.rowText, row || '?');
+	},
+
+	/**
+	 * @private
+	 * Returns the plain-text header of the first column bound to a field, or the field name if there is none.
+	 */
+	getColumnText: function(field) {
+		var column = this.feature.getFieldColumn(field);
+		return column ? this.feature.getColumnText(column) : field;
+	},
+
+	/**
+	 * @private
+	 * Selects and focuses the cell for a clicked entry, unless its record is filtered out of the grid.
+	 */
+	onEntryClick: function(view, entry) {
+		if (!entry.get('filtered')) {
+			this.feature.focusError(entry.get('record'), entry.get('field'));
+		}
+	},
+
+	onDestroy: function() {
+		if (this.feature) {
+			this.feature.un('errorschange', this.refreshEntries, this);
+		}
+		Ext.destroy(this.store);
+		this.callParent(arguments);
+	}
+});
@@ -0,0 +1,90 @@
+/**
+ * @author hiebj (Jonathan Hieb)
+ *
+ * Ext.ux.grid.column.ValidationStatus is a companion column for {@link Ext.ux.grid.feature.Validating}. Each cell
+ * shows an icon for the most severe error of its record, along with the number of errors, and a tooltip listing
+ * every error of the record: record-level errors as well as those of each field. It is most useful with the
+ * Feature's 'row' {@link Ext.ux.grid.feature.Validating#recordErrorMode}, where record-level errors are not shown
+ * on the cells.
+ * xtype: 'validationstatuscolumn'
+ *
+ *		columns: [ {
+ *			xtype: 'validationstatuscolumn'
+ *		}, {
+ *			text: 'Common Name',
+ *			dataIndex: 'common'
+ *		} ]
+ */
+Ext.define('Ext.ux.grid.column.ValidationStatus', {
+	extend: 'Ext.grid.column.Column',
+	alias: 'widget.validationstatuscolumn',
+
+	/**
+	 * @property {Boolean} isValidationStatusColumn
+	 * Identifies this column to the {@link Ext.ux.grid.feature.Validating} Feature.
+	 */
+	isValidationStatusColumn: true,
+
+	/**
+	 * @cfg {Boolean} showCount Set to false to show only the icon, without the number of errors. Defaults to true
+	 */
+	showCount: true,
+	/**
+	 * @cfg {String} statusCls The CSS class of the icon. It is suffixed with '-' and the severity of the record's
+	 *		most severe error (e.g. 'x-grid-validation-status-warning'), or 'pending' while asynchronous rules for
+	 *		the record are pending. Defaults to 'x-grid-validation-status'
+	 */
+	statusCls: Ext.baseCSSPrefix + 'grid-validation-status',
+
+	text: '&#160;',
+	width: 40,
+	align: 'center',
+	sortable: false,
+	groupable: false,
+	menuDisabled: true,
+
+	initComponent: function() {
+		this.callParent(arguments);
+		// The status depends on the record's errors rather than on a field, so the View must repaint the cell on
+		// every update of the record
+		this.hasCustomRenderer = true;
+	},
+
+	/**
+	 * @private
+	 * Renders the status icon and count, and adds a tooltip listing the record's errors.
+	 */
+	defaultRenderer: function(value, metaData, record) {
+		var feature = this.getFeature(),
+			errors,
+			severity;
+		if (!feature || feature.disabled) {
+			return '';
+		}
+		errors = feature.getRecordErrors(record);
+		if (errors.length) {
+			severity = feature.getSeverity(errors);
+			metaData.tdAttr = 'data-errorqtip="' + (feature.composeTooltip(errors) || '') + '"';
+		} else if (feature.isPending(record)) {
+			severity = 'pending';
+			metaData.tdAttr = 'data-errorqtip="' + Ext.String.htmlEncode(feature.pendingText) + '"';
+		} else {
+			return '';
+		}
+		return '<span class="' + this.statusCls + ' ' + this.statusCls + '-' + severity + '">' +
+				(this.showCount && errors.length ? errors.length : '&#160;') + '</span>';
+	},
+
+	/**
+	 * @private
+	 * Returns the Validating Feature of the grid this column belongs to.
+	 */
+	getFeature: function() {
+		var grid;
+		if (!this.feature) {
+			grid = this.up('tablepanel');
+			this.feature = grid && grid.validatingFeature;
+		}
+		return this.feature;
+	}
+});
@@ -14,15 +14,149 @@
  * fails validation, its representative grid cell will be painted with an invalid CSS class and a tooltip
  * containing the returned error messages.
  * 
+ * Every validation may be given a 'severity' of 'error' (the default), 'warning' or 'info'. Only errors are blocking;
+ * warnings and info messages are painted with their own CSS class (see {@link #warningCls} and {@link #infoCls}),
+ * but do not affect {@link #isValid}. To read the severity, the Feature evaluates the Model's
+ * {@link Ext.data.Model#validations} itself, in the same way as {@link Ext.data.Model#validate}:
+ *
+ *		validations: [ {
+ *			type: 'max',
+ *			field: 'price',
+ *			maximum: 100,
+ *			severity: 'warning',
+ *			message: 'looks unusually high'
+ *		} ]
+ *
+ * If the Model overrides {@link Ext.data.Model#validate}, the errors it returns are used instead, and keep the
+ * severity of the validation they match by field and message; any other error is blocking.
+ *
  * Validation occurs automatically when a record is updated. When the record is repainted by {@link Ext.view.Table}
  * on {@link Ext.data.Store#update}, our {@link #cellTpl} will apply error CSS and tooltips based on the result of
  * a call to the {@link Ext.data.Model#validate} function. Records which are not dirty (have not been updated) are
  * only validated by an explicit call to {@link #validate}.
- * 
+ *
  * The CSS is applied using the capabilities of a grid Feature, namely by manipulating
  * {@link Ext.view.Table#cellTpl}. If the Validating Feature causes some kind of conflict with your View, or if you
  * want to customize how the error CSS is applied, this is where to start looking.
  *
+ * # Ext JS 5 and 6
+ *
+ * The data package APIs the Feature depends on changed in Ext JS 5: validation is done by
+ * {@link Ext.data.validator.Validator} instances, records no longer keep their raw data, and write operations match
+ * their records differently. These strategies are supplied by a {@link #validationAdapter}, which is picked at
+ * runtime by the running version of Ext JS, so the same configuration works on Ext JS 4.2, 5 and 6. On Ext JS 5 and
+ * 6, the validators of each field are evaluated, including those declared per field in the Model's 'validators'
+ * config, and a validator's config may specify a 'severity' and a 'code' (see
+ * {@link Ext.ux.data.validationadapter.Validators}).
+ *
+ * # Record Rules
+ *
+ * {@link Ext.data.validations} only ever see a single field value, so they cannot express constraints that span
+ * several fields of a record. For those, record-level rules can be declared either as a 'rules' property on the
+ * {@link Ext.data.Model} or via the {@link #rules} config of this Feature. Each rule is passed the whole record,
+ * lists the fields it depends on, and may report errors on one or more of those fields:
+ *
+ *		rules: [ {
+ *			fields: [ 'light', 'indoor' ],
+ *			message: 'is invalid: Plants that need sun should not be planted indoors',
+ *			fn: function(record) {
+ *				return !(record.get('light') === 'Sunny' && record.get('indoor'));
+ *			}
+ *		} ]
+ *
+ * When any of a rule's fields is modified, the rule is re-run and every cell for its fields is repainted.
+ *
+ * # Store Rules
+ *
+ * Some constraints span the records of the store: a name must be unique, at most one row may be marked as primary,
+ * or percentages must add up to 100. These can be declared via the {@link #storeRules} config. A store rule is passed
+ * every record of the store, lists the fields it depends on, and may report errors on any of the records:
+ *
+ *		storeRules: [ {
+ *			fields: [ 'primary' ],
+ *			message: 'only one plant can be the primary plant',
+ *			fn: function(records) {
+ *				var primary = Ext.Array.filter(records, function(record) {
+ *					return record.get('primary');
+ *				});
+ *				return primary.length < 2 || primary;
+ *			}
+ *		} ]
+ *
+ * A store rule is re-run whenever one of its fields is edited in any record, and whenever records are added or
+ * removed, and every row whose errors it changes is repainted: when one of two duplicates is renamed, the errors of
+ * both rows are cleared.
+ *
+ * # Column Validators
+ *
+ * Some rules belong to a screen rather than to the Model. A grid column may declare 'validators' for its field:
+ * validation configs of the same shape as {@link Ext.data.Model#validations} (without the 'field'), and functions.
+ * A function is called in the scope of the column, is passed the value, the record and the column, and may return
+ * anything a rule function may return. The errors of column validators are merged with those of the Model, so two
+ * grids of the same store can show different errors, and they count toward {@link #isValid}:
+ *
+ *		columns: [ {
+ *			text: 'Price',
+ *			dataIndex: 'price',
+ *			validators: [ {
+ *				type: 'presence'
+ *			}, function(value, record) {
+ *				return value <= 1000 || { message: 'needs approval', severity: 'warning' };
+ *			} ]
+ *		} ]
+ *
+ * Only the validators of visible columns apply. When columns are hidden, shown or replaced (see
+ * {@link Ext.grid.Panel#reconfigure}), the records which have been validated before are revalidated.
+ *
+ * # Asynchronous Rules
+ *
+ * Rules which need to consult the server (e.g. "botanical name must be unique in the catalog") can be declared with
+ * 'async: true'. Such rules are debounced per record, and while a check is in flight its cells are painted with
+ * {@link #pendingCls} and a {@link #pendingText} tooltip. Only the result of the latest run is ever applied; stale
+ * results are discarded. While any rule is pending and there are no errors, {@link #isValid} returns null.
+ *
+ *		rules: [ {
+ *			fields: [ 'botanical' ],
+ *			async: true,
+ *			fn: function(record, callback) {
+ *				Ext.Ajax.request({
+ *					url: 'checkUnique',
+ *					params: { botanical: record.get('botanical') },
+ *					success: function(response) {
+ *						callback(Ext.decode(response.responseText).unique || 'must be unique in the catalog');
+ *					}
+ *				});
+ *			}
+ *		} ]
+ *
+ * # Associated Records
+ *
+ * With {@link #validateAssociations}, the records of each record's hasMany and hasOne associations (e.g. the line
+ * items of an order) are validated too, recursively, against their own Model's validations and synchronous rules.
+ * The invalid records of each association are rolled up into a single error on the owning record, such as
+ * "3 lineItems invalid" (see {@link #associationText}), which is shown on the whole row or on the cell named by
+ * {@link #associationFields}, and counts toward {@link #isValid} with the severity of the worst of their errors. The
+ * owning record is revalidated whenever an association's records are added, removed or updated.
+ *
+ *		features: [ {
+ *			ftype: 'validating',
+ *			validateAssociations: [ 'lineItems' ],
+ *			associationFields: { lineItems: 'total' },
+ *			messages: { lineItems: '{count} line items invalid' }
+ *		} ]
+ *
+ * An association's store may be shown by a nested grid (e.g. in a RowExpander) with a Validating Feature of its own.
+ * Passing the outer Feature down as the nested Feature's {@link #parentFeature} (along with the owning record as its
+ * {@link #parentRecord}, unless the outer Feature has already validated it) joins the two: the nested grid starts
+ * out with the errors the outer Feature has found, and its errors, including those of its own rules and the server,
+ * are rolled up into the owning record from then on.
+ *
+ *		features: [ {
+ *			ftype: 'validating',
+ *			parentFeature: orderGrid.validatingFeature,
+ *			parentRecord: order
+ *		} ]
+ *
  * # Server-Side (Write) Validation
  * 
  * In some cases, a batch 'write' operation might result in mixed success, where some records succeed the operation
@@ -31,6 +165,13 @@
  * The Feature will listen for {@link Ext.data.Store#write} events and attempt to discern which records, if any,
  * failed during the operation. Failed records will be painted with invalid CSS and a tooltip indicating the
  * server-side error message for that record.
+ *
+ * Operations which fail outright (e.g. an HTTP 422, or a response with 'success: false') never reach the 'write'
+ * event. For those, the Feature also listens to the store proxy's 'exception' event and to the exception and
+ * completion of each {@link Ext.data.Batch} started by {@link Ext.data.Store#sync}. The errors are parsed out of the
+ * operation's response in the same way; if none can be found, the operation's own error (e.g. the HTTP status text)
+ * is applied to each of its records. Each operation of a batch (create, update or destroy) is mapped onto its own
+ * records. A record whose destroy failed is only painted while its row is still in the store.
  * 
  * By default, this Feature will attempt to extract the errors from the raw server data on a per-record basis,
  * either by reading a configurable {@link #errorProperty} (for JSON data; see config) or by index access
@@ -60,8 +201,20 @@
  *			[ { field: "name", message: "The name 'first' is already in use"} ... ]
  *		]
  * 
- * To tailor this behavior for the target server's response format, this Feature can be configured with custom
- * {@link #getRawDataErrors} or {@link #getWriteErrors} methods (see config).
+ * Errors describing the response as a whole, rather than an individual record, are read too. They are applied to
+ * the record they point at, or to every record of the operation.
+ *
+ * The parsing itself is delegated to an error reader (see {@link Ext.ux.data.errorreader.Reader}). Readers for
+ * several common server formats are built in, and can be selected with the {@link #errorReader} config:
+ *
+ * - 'default': the per-record format described above
+ * - 'jsonapi': JSON:API 'errors' with a 'source.pointer'
+ * - 'problem': RFC 7807 problem details with 'invalid-params'
+ * - 'rails': Rails-style { errors: { field: [ messages ] } }, per record or for the whole response
+ * - 'spring': Spring 'errors' (or 'fieldErrors' and 'globalErrors')
+ *
+ * To tailor this behavior further for the target server's response format, this Feature can be configured with a
+ * custom reader, or with custom {@link #getRawDataErrors} or {@link #getWriteErrors} methods (see config).
  * 
  * # Manual Validation
  * 
@@ -70,50 +223,536 @@
  * - By invoking {@link #validate}, which will in turn call {@link Ext.data.Model#validate} to retrieve errors
  * - By invoking {@link #setErrors}, which will apply arbitrary errors to the View on a per-record basis
  * 
+ * # Bulk Validation
+ *
+ * Records which have not been edited are only validated on request, and each {@link #validate} repaints its row.
+ * To check a large store at once, e.g. after an import, call {@link #validateAll}, or set {@link #validateOnLoad} to
+ * do so whenever the store loads. The records are validated in time-sliced chunks so that the browser stays
+ * responsive, progress is reported through events, and the grid is repainted either once at the end or row by row
+ * for the rendered rows only (see {@link #bulkRepaint}), which suits a buffered renderer:
+ *
+ *		feature.on('validationprogress', function(feature, done, total) {
+ *			progressBar.updateProgress(done / total);
+ *		});
+ *		feature.validateAll({
+ *			callback: function(feature, valid) {
+ *				saveButton.setDisabled(!valid);
+ *			}
+ *		});
+ *
+ * # Performance
+ *
+ * The errors of each record are indexed by field, so rendering a cell looks its errors up instead of searching the
+ * record's errors. Once a record has been validated in full, an edit only re-runs the validations and column
+ * validators of the modified fields, and the synchronous {@link #rules} which list one of them in their 'fields';
+ * the record's other errors are kept. A validation that reads other fields of the record should therefore be
+ * written as a rule. Set {@link #collectStats} to count validations and cell renders and time them, and read the
+ * counters with {@link #getStats}:
+ *
+ *		feature.resetStats();
+ *		record.set('price', 10);
+ *		console.log(feature.getStats().averageValidationTime);
+ *
+ * # Record-Level Errors
+ *
+ * Errors without a field (e.g. a server error describing the whole record, or {@link #setErrors} without a
+ * 'field') are cached once per record. By default ({@link #recordErrorMode} 'cell'), they are shown on every cell
+ * of the row. In 'row' mode, they are shown on the row instead, by way of a row CSS class (see
+ * {@link #rowInvalidCls}), and field-specific errors stay on their cells. To show the messages, add an
+ * {@link Ext.ux.grid.column.ValidationStatus} (xtype: 'validationstatuscolumn'), which shows an icon and the number
+ * of errors of each record, with a tooltip listing all of them:
+ *
+ *		columns: [ {
+ *			xtype: 'validationstatuscolumn'
+ *		}, ... ]
+ *
+ * # Validation Summary
+ *
+ * To list every current error in one place, add an {@link Ext.ux.grid.ValidationSummary} (xtype:
+ * 'validationsummary') bound to the grid, either docked to the grid itself or anywhere else on the page.
+ *
+ * To keep a record of what failed, {@link #getErrorReport} returns an {@link Ext.ux.grid.ValidationReport} with a
+ * row per error, which can be serialized to JSON or CSV, and compared to an earlier report to find out which errors
+ * were fixed and which are new.
+ *
+ * # Live Editor Validation
+ *
+ * Set {@link #liveValidation} to true to have the Feature hook into the grid's CellEditing or RowEditing plugin.
+ * While a cell or row is being edited, the value being typed is checked against the Model's validations and any
+ * synchronous {@link #rules} on every change, and the editor field is marked invalid with the same messages its cell
+ * tooltip would show. With RowEditing, the plugin's error summary lists them as well. Set {@link #allowInvalidEdit}
+ * to false to prevent an edit from completing while it is invalid.
+ *
+ * # Forms
+ *
+ * To make the grid part of an enclosing {@link Ext.form.Panel}, add an {@link Ext.ux.grid.ValidatingField} (xtype:
+ * 'validatingfield') to it, e.g. docked to the grid. The hidden field is valid while the grid is, so the form's
+ * {@link Ext.form.Basic#isValid} and 'formBind' buttons follow the grid's errors, and errors which the server's
+ * response to a form submit sends for the grid's rows are shown on their cells.
+ *
+ * # Validation Engine
+ *
+ * The Feature only renders errors. Validating records and keeping their errors is done by an
+ * {@link Ext.ux.data.ValidationEngine}, which the Feature creates from its own configs and binds to the grid's
+ * store, and which is available as {@link #engine}. The engine has no dependency on any view, so the same rules,
+ * sources and server error parsing can be used where there is no grid, e.g. for a store behind a form or in a unit
+ * test:
+ *
+ *		var engine = Ext.create('Ext.ux.data.ValidationEngine', {
+ *			store: store,
+ *			rules: rules
+ *		});
+ *		engine.validate(record);
+ *
+ * An engine can also be created up front and passed as the Feature's {@link #engine} config, in which case it is
+ * shared rather than owned: the Feature does not destroy it. The engine fires the Feature's data events
+ * ('errorschange', 'validitychange', 'beforeinvalidsync', etc.), which the Feature relays with itself as the first
+ * argument, and 'recorderrorschange' whenever the errors of a single record may have changed, which is what the
+ * Feature repaints on.
+ *
+ * # Guarded Sync
+ *
+ * To keep invalid data from being saved, set {@link #syncMode}. Whenever {@link Ext.data.Store#sync} (including an
+ * {@link Ext.data.Store#autoSync}) would send records that have blocking errors or pending asynchronous rules, the
+ * Feature fires a cancelable 'beforeinvalidsync' event with the invalid records; returning false from a listener
+ * aborts the sync. In 'block' mode, a sync while the grid is invalid is always aborted. In 'filter' mode, only the
+ * valid records are sent and the invalid ones are held back (they stay dirty, and are sent by a later sync once
+ * they're fixed). Either way, an 'invalidsync' event then reports which records were held back or rejected.
+ *
+ * # Navigation
+ *
+ * With many rows, invalid cells can be hard to find. {@link #nextError} and {@link #previousError} walk the cached
+ * errors in store and column order (respecting the current sort, filters, and hidden or reordered columns), scroll
+ * the cell into view and focus it. {@link #focusError} does the same for a specific record and field. By default,
+ * F8 and Shift+F8 are bound to {@link #nextError} and {@link #previousError} on the grid view (see
+ * {@link #navKeys}). If {@link #editOnNavigate} is true, the grid's editing plugin is started on the focused cell.
+ *
+ * # Accessibility
+ *
+ * Invalid cells are marked with 'aria-invalid' (for blocking errors) and 'aria-describedby', which points at an
+ * offscreen element holding the error text, so screen readers read the errors along with the cell. Two more aids
+ * are opt-in. With {@link #focusTips} set to true, the errors of a cell are also shown in a tooltip as soon as it is
+ * selected (e.g. with the keyboard, or by {@link #nextError}), without needing to hover. With {@link #ariaLive} set
+ * to true, the Feature keeps a polite live region which announces new errors as they occur (see
+ * {@link #invalidCellText}) and changes to the validity of the grid (see {@link #validText} and {@link #invalidText}).
+ *
+ *		features: [ {
+ *			ftype: 'validating',
+ *			focusTips: true,
+ *			ariaLive: true
+ *		} ]
+ *
  * Note that errors set via the {@link #setErrors} method will NOT be returned by future calls to 
  * {@Ext.data.Model#validate} method, meaning that calling {@link #setErrors} will NOT cause a record to fail
- * validation. These errors will also be blown away when the respective record triggers
- * {@link Ext.data.Store#update}, and will need to be re-set afterward if appropriate.
+ * validation.
+ *
+ * # Error Display
+ *
+ * By default, an invalid cell gets a border and shows its messages in a QuickTip when hovered. Like the msgTarget of
+ * a form field, {@link #msgTarget} picks another way to show them, e.g. for themes with tight rows or for touch
+ * devices, where nothing can be hovered: an error icon ('side'), a corner marker ('corner'), the browser's own
+ * tooltip ('title'), or a line of text under the value ('under'). Each column can choose its own:
+ *
+ *		columns: [ {
+ *			dataIndex: 'name',
+ *			text: 'Name',
+ *			msgTarget: 'under'
+ *		}, ... ]
+ *
+ * # Filtering Invalid Rows
+ *
+ * {@link #filterInvalid} filters the store to the records with errors (optionally, only those with errors on a
+ * single field), alongside any other filters of the store. The filter is re-applied whenever the errors change, so
+ * records drop out as they are fixed; {@link #clearInvalidFilter} removes it again. Each change fires an
+ * 'invalidfilterchange' event, e.g. to keep a toolbar toggle button in sync:
+ *
+ *		{
+ *			xtype: 'button',
+ *			text: 'Show only invalid rows',
+ *			enableToggle: true,
+ *			toggleHandler: function(button, pressed) {
+ *				var feature = button.up('grid').validatingFeature;
+ *				if (pressed) {
+ *					feature.filterInvalid();
+ *				} else {
+ *					feature.clearInvalidFilter();
+ *				}
+ *			}
+ *		}
+ *
+ * With {@link #headerBadges} set to true, each column header shows a badge with the number of invalid cells in that
+ * column. Clicking a badge filters the store to the rows with errors in that column, and clicking it again removes
+ * the filter. Only locally filtered stores are supported.
+ *
+ * # Locked Grids and Trees
+ *
+ * On a grid with locked columns, the Feature is added to both the locked and the normal side. Both instances share
+ * one error cache, and every repaint is applied to both views; the first instance handles the store, editing,
+ * navigation and badges for the whole grid, and is the validatingFeature of the outer grid as well as both sides.
+ *
+ * The Feature also works with tree panels (including locked ones). Errors are removed from the cache when their nodes
+ * are removed from the tree or replaced by a reload, and kept when nodes are moved. Navigation only visits the
+ * expanded nodes. A TreeStore cannot be filtered, so {@link #filterInvalid} does nothing on a tree.
+ *
+ * # Error Sources
+ *
+ * Every cached error is tagged with the source it came from: 'model' (validations, rules and column validators),
+ * 'server' (write errors), 'manual' ({@link #setErrors}, unless the error names its own source), or any custom
+ * string. Only the 'model' source is recomputed when a record is updated; errors from every other source are merged
+ * back in according to that source's lifetime policy (see {@link #sourcePolicies}). Errors from any source can be
+ * removed explicitly with {@link #clearErrors}.
+ *
+ * # Messages and Localization
+ *
+ * The message shown for an error on a cell is composed by the {@link #messageTpl} (or, for a record-level error,
+ * the {@link #recordMessageTpl}), which defaults to the column header followed by the error's own message. The
+ * templates can rearrange or drop any of their tokens, which is what most languages other than English need:
+ *
+ *		messageTpl: '{column}: {message}'
+ *
+ * The error's own message is looked up in the {@link #messages} bundle, keyed by error code or by the type of the
+ * validation that failed, and falls back to the message of the validation (or to {@link Ext.data.validations}).
+ * Messages from the bundle and those of validations are templates too; they may refer to the config of the
+ * validation that failed. The messages of rules and column validators may contain data, so they are not templates,
+ * but their {tokens} are replaced by the same values:
+ *
+ *		validations: [ {
+ *			type: 'length',
+ *			field: 'name',
+ *			min: 2,
+ *			message: 'must be at least {min} characters long'
+ *		} ]
+ *
+ * Server errors (and errors passed to {@link #setErrors}) may carry a 'code' and 'params' instead of a finished
+ * message; the code is then translated on the client by the {@link #messages} bundle. Bundles and templates for a
+ * locale are best kept in an override of this class, such as the ones in the 'locale' directory.
  */
 Ext.define('Ext.ux.grid.feature.Validating', {
 	extend: 'Ext.grid.feature.Feature',
 	alias: 'feature.validating',
+	requires: [
+		'Ext.ux.data.ValidationEngine',
+		'Ext.ux.grid.ValidationReport'
+	],
+
+	// Add an instance to both sides of a locked grid; see initPartner
+	lockableScope: 'both',
 	
 	/**
 	 * @cfg {Boolean} autoValidate Set to false to disable automatic validation triggered by
-	 *		{@link Ext.dataStore#update}. Defaults to true
+	 *		{@link Ext.data.Store#update}. See {@link Ext.ux.data.ValidationEngine#autoValidate}.
 	 */
 	autoValidate: true,
+	/**
+	 * @cfg {Boolean} validateOnLoad Set to true to validate every record whenever the store loads, and, if the store
+	 *		already has records, once the grid is rendered. See {@link Ext.ux.data.ValidationEngine#validateOnLoad}.
+	 */
+	validateOnLoad: false,
+	/**
+	 * @cfg {String} bulkRepaint How {@link #validateAll} repaints the grid: 'end' to refresh the views once when
+	 *		validation completes, or 'rendered' to repaint the rows which are currently rendered as each chunk of
+	 *		records is validated. Defaults to 'end'
+	 */
+	bulkRepaint: 'end',
+	/**
+	 * @cfg {Number} bulkBudget The time slice of {@link #validateAll}. See
+	 *		{@link Ext.ux.data.ValidationEngine#bulkBudget}.
+	 */
+	bulkBudget: 20,
+	/**
+	 * @cfg {Boolean} collectStats Set to true to count the validations done by the {@link #engine} (see
+	 *		{@link Ext.ux.data.ValidationEngine#collectStats}) as well as the cell renders done by the Feature, as
+	 *		reported by {@link #getStats}.
+	 */
+	collectStats: false,
 	/**
 	 * @cfg {String} invalidCls The CSS class to apply to a cell that fails validation. Defaults to
 	 *		'x-grid-cell-invalid'
 	 */
 	invalidCls: 'x-grid-cell-invalid',
+	/**
+	 * @cfg {String} pendingCls The CSS class to apply to a cell while an asynchronous rule for its field is
+	 *		pending. Defaults to 'x-grid-cell-pending'
+	 */
+	pendingCls: 'x-grid-cell-pending',
+	/**
+	 * @cfg {String} warningCls The CSS class to apply to a cell whose most severe error is a warning. Defaults to
+	 *		'x-grid-cell-warning'
+	 */
+	warningCls: 'x-grid-cell-warning',
+	/**
+	 * @cfg {String} infoCls The CSS class to apply to a cell whose most severe error is informational. Defaults to
+	 *		'x-grid-cell-info'
+	 */
+	infoCls: 'x-grid-cell-info',
+	/**
+	 * @cfg {String} recordErrorMode Where to show record-level errors (those without a field):
+	 *		- 'cell': on every cell of the row
+	 *		- 'row': on the row itself, with {@link #rowInvalidCls}, {@link #rowWarningCls} or {@link #rowInfoCls}
+	 *		Defaults to 'cell'
+	 */
+	recordErrorMode: 'cell',
+	/**
+	 * @cfg {String} rowInvalidCls The CSS class to apply to a row with record-level errors in 'row'
+	 *		{@link #recordErrorMode}. Defaults to 'x-grid-row-invalid'
+	 */
+	rowInvalidCls: 'x-grid-row-invalid',
+	/**
+	 * @cfg {String} rowWarningCls The CSS class to apply to a row whose most severe record-level error is a warning
+	 *		in 'row' {@link #recordErrorMode}. Defaults to 'x-grid-row-warning'
+	 */
+	rowWarningCls: 'x-grid-row-warning',
+	/**
+	 * @cfg {String} rowInfoCls The CSS class to apply to a row whose most severe record-level error is
+	 *		informational in 'row' {@link #recordErrorMode}. Defaults to 'x-grid-row-info'
+	 */
+	rowInfoCls: 'x-grid-row-info',
+	/**
+	 * @cfg {Object} severityText The headings used to group messages by severity in a tooltip, keyed by severity.
+	 *		Headings are only shown if a cell has messages of more than one severity.
+	 */
+	severityText: {
+		error: 'Errors',
+		warning: 'Warnings',
+		info: 'Info'
+	},
+	/**
+	 * @cfg {String} pendingText The tooltip to show on a cell while an asynchronous rule for its field is
+	 *		pending. Defaults to 'Validating...'
+	 */
+	pendingText: 'Validating...',
+	/**
+	 * @cfg {String} msgTarget How the errors of a cell are shown, much like the msgTarget of a form field. A column
+	 *		may choose its own with a 'msgTarget' config. One of:
+	 *		- 'qtip': a border around the cell (see {@link #invalidCls}), with the messages in a QuickTip
+	 *		- 'side': an error icon at the side of the cell's value, which shows the messages in a QuickTip
+	 *		- 'corner': a triangle in the top right corner of the cell, with the messages in a QuickTip
+	 *		- 'title': a line along the bottom of the cell, with the messages in its title attribute, as shown by the
+	 *		browser without QuickTips
+	 *		- 'under': the messages as a line of text under the cell's value, which makes the row taller
+	 *		- 'none': only the severity class of the cell
+	 *		Every mode but 'qtip' fits within the cell's own borders. Defaults to 'qtip'
+	 */
+	msgTarget: 'qtip',
+	/**
+	 * @cfg {Boolean} focusTips Set to true to show the errors of the selected cell (or, with a row selection model,
+	 *		of the selected record) in a tooltip. Defaults to false
+	 */
+	focusTips: false,
+	/**
+	 * @cfg {Boolean} ariaLive Set to true to announce new errors and changes to the grid's validity through a
+	 *		polite ARIA live region. Defaults to false
+	 */
+	ariaLive: false,
+	/**
+	 * @cfg {String} invalidCellText The announcement for a new error on a cell. The column text is substituted for
+	 *		{0}, and the message for {1}. Defaults to '{0} is invalid: {1}'
+	 */
+	invalidCellText: '{0} is invalid: {1}',
+	/**
+	 * @cfg {String} invalidRowText The announcement for a new record-level error. The (1-based) row number is
+	 *		substituted for {0}, and the message for {1}. Defaults to 'Row {0} is invalid: {1}'
+	 */
+	invalidRowText: 'Row {0} is invalid: {1}',
+	/**
+	 * @cfg {String} validText The announcement when the grid becomes valid. Defaults to 'The grid is now valid'
+	 */
+	validText: 'The grid is now valid',
+	/**
+	 * @cfg {String} invalidText The announcement when the grid becomes invalid. Defaults to
+	 *		'The grid is now invalid'
+	 */
+	invalidText: 'The grid is now invalid',
+	/**
+	 * @cfg {Number} asyncBuffer The debounce delay of asynchronous rules. See
+	 *		{@link Ext.ux.data.ValidationEngine#asyncBuffer}.
+	 */
+	asyncBuffer: 300,
+	/**
+	 * @cfg {Boolean} navKeys Set to false to disable the default key bindings on the grid view: F8 for
+	 *		{@link #nextError} and Shift+F8 for {@link #previousError}. Defaults to true
+	 */
+	navKeys: true,
+	/**
+	 * @cfg {Boolean} editOnNavigate Set to true to start the grid's CellEditing or RowEditing plugin on the cell
+	 *		focused by {@link #nextError}, {@link #previousError} and {@link #focusError}. Defaults to false
+	 */
+	editOnNavigate: false,
+	/**
+	 * @cfg {Boolean} headerBadges Set to true to show a badge with the number of invalid cells in each column
+	 *		header. Clicking a badge filters the store to the rows with errors in that column (see
+	 *		{@link #filterInvalid}). Defaults to false
+	 */
+	headerBadges: false,
+	/**
+	 * @cfg {String} badgeCls The CSS class of a column header badge. It is also suffixed with '-' and the most
+	 *		severe severity of the column's errors, and with '-active' while the column's rows are filtered.
+	 *		Defaults to 'x-column-header-validation-badge'
+	 */
+	badgeCls: Ext.baseCSSPrefix + 'column-header-validation-badge',
+	/**
+	 * @cfg {String} badgeText The tooltip of a column header badge. The number of invalid cells is substituted for
+	 *		{0}. Defaults to '{0} invalid - click to show only these rows'
+	 */
+	badgeText: '{0} invalid - click to show only these rows',
+	/**
+	 * @cfg {Number} filterBuffer The number of milliseconds to wait after the errors change before re-applying the
+	 *		filter of {@link #filterInvalid}. Defaults to 100
+	 */
+	filterBuffer: 100,
+	/**
+	 * @cfg {Object} sourcePolicies The lifetime policy of the errors from each source other than 'model'. See
+	 *		{@link Ext.ux.data.ValidationEngine#sourcePolicies}.
+	 */
+	sourcePolicies: {
+		server: 'field',
+		manual: 'field'
+	},
+	/**
+	 * @cfg {String} defaultSourcePolicy The lifetime policy for errors from a source not listed in
+	 *		{@link #sourcePolicies}. See {@link Ext.ux.data.ValidationEngine#defaultSourcePolicy}.
+	 */
+	defaultSourcePolicy: 'field',
+	/**
+	 * @cfg {String} syncMode How to treat a {@link Ext.data.Store#sync} that includes invalid records. See
+	 *		{@link Ext.ux.data.ValidationEngine#syncMode}; the Feature fires its 'beforeinvalidsync' and 'invalidsync'
+	 *		events with itself in place of the engine.
+	 */
+	syncMode: 'allow',
+	/**
+	 * @cfg {Boolean} liveValidation Set to true to validate the values in the grid's CellEditing or RowEditing
+	 *		editor fields as they are typed. Defaults to false
+	 */
+	liveValidation: false,
+	/**
+	 * @cfg {Boolean} allowInvalidEdit Set to false to prevent an edit from completing while {@link #liveValidation}
+	 *		reports blocking errors for it. If true, the editor fields are still marked invalid. Defaults to true
+	 */
+	allowInvalidEdit: true,
 	
 	/**
-	 * @cfg {String} errorProperty The data property used by the default {@link #getRawDataErrors} implementation
-	 *		to extract errors from each record's raw server data response. Will be ignored if the server responds
-	 *		with {@link Ext.data.ArrayStore} data, or if {@link #getRawDataErrors} is overridden. Defaults to
-	 *		'errors'
+	 * @cfg {String} errorProperty The data property the default error reader extracts each record's errors from.
+	 *		See {@link Ext.ux.data.ValidationEngine#errorProperty}.
 	 */
 	errorProperty: 'errors',
-	
-	/** 
+
+	/**
+	 * @cfg {String/Object/Ext.ux.data.errorreader.Reader} errorReader The reader used to extract write errors from
+	 *		the server's response. See {@link Ext.ux.data.ValidationEngine#errorReader}.
+	 */
+	errorReader: 'default',
+
+	/**
+	 * @cfg {String/Object/Ext.ux.data.validationadapter.Adapter} validationAdapter The adapter for the running
+	 *		version of Ext JS. See {@link Ext.ux.data.ValidationEngine#validationAdapter}.
+	 */
+	validationAdapter: null,
+
+	/**
+	 * @cfg {Boolean} validateOnWrite Set to false to ignore server-side (write) errors. See
+	 *		{@link Ext.ux.data.ValidationEngine#validateOnWrite}.
+	 */
+	validateOnWrite: true,
+	/**
+	 * @cfg {String} writeFailedText The message applied to the records of a failed operation. See
+	 *		{@link Ext.ux.data.ValidationEngine#writeFailedText}.
+	 */
+	writeFailedText: 'Could not be saved',
+
+	/**
+	 * @cfg {String/String[]/Ext.XTemplate} messageTpl The template used to compose the message for an error on a
+	 *		single field. It is passed the following values, each of them HTML-encoded:
+	 *		- column: the plain-text header of the cell's column
+	 *		- field: the name of the field
+	 *		- value: the field's current value
+	 *		- message: the error's own message (see {@link #messages})
+	 *		- the error's 'params', such as the config of the validation that failed (e.g. {minimum})
+	 *		Defaults to '{column} {message}'
+	 */
+	messageTpl: '{column} {message}',
+	/**
+	 * @cfg {String/String[]/Ext.XTemplate} recordMessageTpl The template used to compose the message for a
+	 *		record-level error, which is applied to every field of the record. It is passed the same values as the
+	 *		{@link #messageTpl}. Defaults to '{message}'
+	 */
+	recordMessageTpl: '{message}',
+	/**
+	 * @cfg {Object} messages A bundle of messages keyed by error code or by validation type (e.g. 'presence', or the
+	 *		type of a custom validation). An error's code takes precedence over its own message, which in turn takes
+	 *		precedence over its validation type. Each message is a template, which is passed the same values as the
+	 *		{@link #messageTpl} (unencoded). The bundle configured on an instance is merged over the one on the
+	 *		class (e.g. from a locale override).
+	 */
+	messages: {},
+
+	/**
+	 * @cfg {Object[]} rules Record-level validation rules, applied in addition to any 'rules' declared on the
+	 *		{@link Ext.data.Model}. See {@link Ext.ux.data.ValidationEngine#rules}.
+	 */
+
+	/**
+	 * @cfg {Object[]} storeRules Rules which span the records of the store, such as uniqueness or aggregate
+	 *		constraints. See {@link Ext.ux.data.ValidationEngine#storeRules}.
+	 */
+
+	/**
+	 * @cfg {Boolean/String[]} validateAssociations Set to true, or to the names of associations, to roll the errors
+	 *		of associated records up into their owner. See {@link Ext.ux.data.ValidationEngine#validateAssociations}.
+	 */
+	validateAssociations: false,
+	/**
+	 * @cfg {Object} associationFields The fields (cells) the rolled-up errors of associations are shown on; the
+	 *		errors of other associations apply to the whole record (see {@link #recordErrorMode}). See
+	 *		{@link Ext.ux.data.ValidationEngine#associationFields}.
+	 */
+	associationFields: {},
+	/**
+	 * @cfg {String} associationText The message of the error rolled up from an association's invalid records (see
+	 *		{@link Ext.ux.data.ValidationEngine#associationText}). Like the messages of validations, it is a template
+	 *		(see {@link #messages}), and the {@link #messages} bundle can override it per association by the error's
+	 *		code.
+	 */
+	associationText: '{count} {association} invalid',
+	/**
+	 * @cfg {Ext.ux.grid.feature.Validating} parentFeature The Feature of the grid whose records own this grid's
+	 *		records through an association, e.g. for a grid nested in a RowExpander. This Feature then shares its
+	 *		errors with the parent Feature, which rolls them up into the parent record's error instead of validating
+	 *		the records itself. Defaults to the Feature which validated the association's store, if any.
+	 */
+	/**
+	 * @cfg {Ext.data.Model} parentRecord The record which owns this grid's store through an association, used with
+	 *		{@link #parentFeature}. See {@link Ext.ux.data.ValidationEngine#parentRecord}.
+	 */
+
+	/**
+	 * @cfg {Ext.ux.data.ValidationEngine/Object} engine The engine which validates the grid's records and keeps their
+	 *		errors, which this Feature renders. By default, the Feature creates an engine from its own configs (those
+	 *		listed by its engineConfigs property, such as {@link #rules} and {@link #syncMode}) and binds it to the
+	 *		grid's store. May be a config object for that engine, or an existing engine (e.g. one shared with a data
+	 *		service), which is bound to the grid's store unless it is already bound to a store, and is not destroyed
+	 *		along with the Feature.
+	 */
+	/**
 	 * @cfg {Function} getRawDataErrors Optional override method to extract error descriptors from the raw server
-	 *		data used to create a single {@link Ext.data.ResultSet} record. For more information, see the
-	 *		{@link #getRawDataErrors} documentation.
+	 *		data used to create a single {@link Ext.data.ResultSet} record. It is passed on to the {@link #engine},
+	 *		and called in the engine's scope. For more information, see the
+	 *		{@link Ext.ux.data.ValidationEngine#getRawDataErrors} documentation.
 	 */
 	/**
 	 * @cfg {Function} getWriteErrors Optional override method to extract a set of line-item error descriptors
-	 *		from an entire 'write' {@link Ext.data.Operation}. For more information, see the
-	 *		{@link #getWriteErrors} documentation.
+	 *		from an entire 'write' {@link Ext.data.Operation}. It is passed on to the {@link #engine}, and called in
+	 *		the engine's scope. For more information, see the {@link Ext.ux.data.ValidationEngine#getWriteErrors}
+	 *		documentation.
 	 */
 	
 	/**
 	 * @property cellTpl
 	 * The {@link Ext.XTemplate} this {@link Ext.grid.feature.Feature} adds to the {@link Ext.table.View}. It
 	 * is essentially the same as the default template, except that if a given cell is invalid it is double-wrapped
-	 * using an extra outer <div> with the configured {@link #invalidCls}.
+	 * using an extra outer <div> with the configured {@link #invalidCls}, and described by an offscreen element
+	 * holding the error text. The wrapper also carries a class for the cell's {@link #msgTarget}
+	 * ('x-grid-cell-msg-' + msgTarget), and holds the markup of that mode: the tooltip or title attribute, the icon or
+	 * corner marker, or the line of messages under the value.
 	 * 
 	 * Developer note: The simple effect of a red border could have been achieved with a before/after cellTpl
 	 * instead, modifying the 'style' and 'tdCls' properties of the values object passed to the original tpl in
@@ -122,319 +761,1335 @@ Ext.define('Ext.ux.grid.feature.Validating', {
 	 */
 	cellTpl: [
 		  '{% this.validatingFeature.validateCell(values); %}',
-		  '<td role="gridcell" class="{tdCls}" {tdAttr} id="{[Ext.id()]}">',
+		  '<td role="gridcell" class="{tdCls}" {tdAttr} id="{[Ext.id()]}"',
+				'<tpl if="errorId"> aria-describedby="{errorId}"</tpl>{ariaAttr}>',
 			'<tpl if="invalid">',
-				'<div class="{invalidCls}"<tpl if="tooltip"> data-errorqtip="{tooltip}"</tpl>>',
+				'<div class="{invalidCls} {msgCls}"',
+					'<tpl if="msgTarget == \'title\'"> title="{msgText}"',
+					'<tpl elseif="tooltip && (msgTarget == \'qtip\' || msgTarget == \'corner\')">',
+						' data-errorqtip="{tooltip}"',
+					'</tpl>>',
+				'<tpl if="msgTarget == \'side\'">',
+					'<span class="' + Ext.baseCSSPrefix + 'grid-cell-error-icon" data-errorqtip="{tooltip}"></span>',
+				'<tpl elseif="msgTarget == \'corner\'">',
+					'<span class="' + Ext.baseCSSPrefix + 'grid-cell-error-corner"></span>',
+				'</tpl>',
 			'</tpl>',
 					'<div {unselectableAttr} class="' + Ext.baseCSSPrefix + 'grid-cell-inner {innerCls}"',
 						'style="text-align:{align};<tpl if="style">{style}</tpl>">{value}',
 					'</div>',
 			'<tpl if="invalid">',
+				'<tpl if="msgTarget == \'under\'">',
+					'<div class="' + Ext.baseCSSPrefix + 'grid-cell-error-text">{msgText}</div>',
+				'</tpl>',
 				'</div>',
 			'</tpl>',
+			'<tpl if="errorId">',
+				'<span id="{errorId}" class="' + Ext.baseCSSPrefix + 'validation-offscreen" aria-hidden="true">',
+					'{errorText}',
+				'</span>',
+			'</tpl>',
 		  '</td>',
 		  '{% this.validatingFeature.cleanupCellValues(values); %}', {
 			  priority: 50
 		  }
 	  ],
 	
+	/**
+	 * @property rowTpl
+	 * The {@link Ext.XTemplate} this {@link Ext.grid.feature.Feature} adds to the {@link Ext.table.View} to add a
+	 * row CSS class for record-level errors, in 'row' {@link #recordErrorMode}.
+	 */
+	rowTpl: [
+		'{%',
+			'this.validatingFeature.validateRow(values);',
+			'this.nextTpl.applyOut(values, out, parent);',
+		'%}', {
+			priority: 50
+		}
+	],
+
 	tooltipTpl: '<ul><tpl for="errors"><li role="alert">{.}</li></tpl></ul>',
 
+	groupedTooltipTpl: [
+		'<tpl for="groups">',
+			'<div class="' + Ext.baseCSSPrefix + 'grid-tip-{severity}">{title}</div>',
+			'<ul><tpl for="errors"><li role="alert">{.}</li></tpl></ul>',
+		'</tpl>'
+	],
+
+	/**
+	 * @property {String[]} severities
+	 * The known severities, from most to least severe. See {@link Ext.ux.data.ValidationEngine#severities}.
+	 */
+	severities: [ 'error', 'warning', 'info' ],
+
+	/**
+	 * @property {String} invalidFilterId
+	 * The id of the store filter added by {@link #filterInvalid}.
+	 */
+	invalidFilterId: 'validating-invalid',
+
+	/**
+	 * @private
+	 * @property {String[]} engineConfigs
+	 * The configs of this Feature which are passed on to the {@link #engine} it creates.
+	 */
+	engineConfigs: [
+		'autoValidate', 'validateOnLoad', 'bulkBudget', 'collectStats', 'asyncBuffer', 'sourcePolicies',
+		'defaultSourcePolicy', 'syncMode', 'errorProperty', 'errorReader', 'validationAdapter', 'validateOnWrite',
+		'writeFailedText', 'rules', 'storeRules', 'validateAssociations', 'associationFields', 'associationText',
+		'parentRecord', 'severities', 'getRawDataErrors', 'getWriteErrors'
+	],
+
+	/**
+	 * @private
+	 * @property {Object} relayedEvents
+	 * The events of the {@link #engine} which this Feature fires in turn, with itself in place of the engine, keyed by
+	 * name. Each value is the number of arguments which follow the engine.
+	 */
+	relayedEvents: {
+		errorschange: 0,
+		validitychange: 1,
+		pendingchange: 1,
+		beforeinvalidsync: 3,
+		invalidsync: 3,
+		validationstart: 1,
+		validationprogress: 2,
+		validationcomplete: 2,
+		validationcancel: 2
+	},
+
 	init: function(grid) {
-		this.errorMap = new Ext.util.MixedCollection();
+		var partner = this.lockingPartner,
+			ownerGrid = this.ownerGrid = grid.ownerLockable || grid;
 		// Make sure the cellTpl has access to this validating Feature
 		this.view.addCellTpl(Ext.XTemplate.getTpl(this, 'cellTpl')).validatingFeature = this;
-		// Our onUpdate handler must be called before the view onUpdate handler. The view handler has priority 0.
-		grid.store.on({
-			load: this.clear,
-			clear: this.clear,
-			bulkremove: this.onBulkRemove,
-			update: this.onUpdate,
-			write: this.onWrite,
-			priority: 50,
+		this.view.addRowTpl(Ext.XTemplate.getTpl(this, 'rowTpl')).validatingFeature = this;
+		if (partner && partner.errorMap) {
+			// The other side of a locked grid has already been initialized, and it handles the store for both
+			this.initPartner(partner);
+			this.callParent(arguments);
+			return;
+		}
+		this.stats = {
+			cellRenders: 0,
+			cellTime: 0
+		};
+		this.keyMaps = [];
+		this.messages = Ext.apply({}, this.messages, this.self.prototype.messages);
+		this.initEngine(grid.store);
+		this.filterTask = new Ext.util.DelayedTask(this.refilter, this);
+		this.columnTask = new Ext.util.DelayedTask(this.revalidateColumns, this);
+		if (this.validateOnLoad && this.getRecords(true).length) {
+			ownerGrid.on('afterrender', function() {
+				this.validateAll();
+			}, this, { single: true });
+		}
+		this.on('errorschange', this.onErrorsChange, this);
+		// Columns may declare validators, which only apply while they are shown
+		grid.on({
+			columnhide: this.onColumnsChange,
+			columnshow: this.onColumnsChange,
 			scope: this
 		});
-		grid.validatingFeature = this;
+		ownerGrid.on('reconfigure', this.onColumnsChange, this);
+		if (this.headerBadges) {
+			this.badgeTask = new Ext.util.DelayedTask(this.updateBadges, this);
+			ownerGrid.on({
+				afterrender: this.updateBadges,
+				reconfigure: this.updateBadges,
+				lockcolumn: this.updateBadges,
+				unlockcolumn: this.updateBadges,
+				scope: this
+			});
+		}
+		if (this.navKeys) {
+			this.view.on('render', this.initKeyMap, this, { single: true });
+		}
+		if (this.focusTips) {
+			ownerGrid.getSelectionModel().on({
+				select: this.onSelect,
+				deselect: this.hideFocusTip,
+				scope: this
+			});
+			this.view.on('refresh', this.hideFocusTip, this);
+			ownerGrid.on('beforeedit', this.hideFocusTip, this);
+		}
+		if (this.ariaLive) {
+			this.announcements = [];
+			this.announceTask = new Ext.util.DelayedTask(this.flushAnnouncements, this);
+			ownerGrid.on('afterrender', this.initLiveRegion, this, { single: true });
+			this.on('validitychange', this.onValidityChange, this);
+		}
+		if (this.liveValidation) {
+			this.instrumentedEditors = [];
+			this.summaryTask = new Ext.util.DelayedTask(this.updateEditorSummary, this);
+			// The editing plugins relay these events to the grid
+			this.mon(ownerGrid, {
+				beforeedit: this.onBeforeEdit,
+				edit: this.onEditEnd,
+				canceledit: this.onEditEnd,
+				scope: this
+			});
+		}
+		grid.validatingFeature = ownerGrid.validatingFeature = this;
 		this.callParent(arguments);
 	},
-	
-	/**
-	 * Manual valdiation function. Validates the record by calling {@link Ext.data.Model#validate},
-	 * then triggers a repaint for the record's row, which will cause our {@link #cellTpl} to be reapplied for all
-	 * cells.
-	 * @param {Ext.data.Model} record The record to validate
-	 * @return {Ext.data.Errors} the errors returned by {@link Ext.data.Model#validate}
-	 */
-	validate: function(record) {
-		var errors = this.cacheErrors(record);
-		this.view.onUpdate(this.grid.store, record);
-		return errors;
-	},
-	
+
 	/**
 	 * @private
-	 * Used internally to validate a record and cache the errors, called by {@link #validate} and
-	 * {@link #onUpdate}. This function does *not* repaint the view.
+	 * Initializes the second instance of a locked grid's Feature, which only renders the errors of its own view. The
+	 * {@link #engine} and everything else are shared with (and handled by) the first instance, which is exposed as the
+	 * validatingFeature of both grids.
 	 */
-	cacheErrors: function(record) {
-		var id = record.internalId,
-			errors = record.validate();
-		if (!errors.isValid()) {
-			this.errorMap.add(id, errors);
+	initPartner: function(partner) {
+		this.primary = partner;
+		this.engine = partner.engine;
+		this.errorMap = partner.errorMap;
+		this.stats = partner.stats;
+		this.messages = partner.messages;
+		this.errorReader = partner.errorReader;
+		this.validationAdapter = partner.validationAdapter;
+		this.isTree = partner.isTree;
+		this.grid.validatingFeature = partner;
+		if (partner.navKeys) {
+			this.view.on('render', partner.initKeyMap, partner, { single: true });
 		}
-		this.isValid();
-		return errors;
-	},
-	
-	/**
-	 * Checks the validity state of the entire grid. Note that this does not necessarily have the same result as
-	 * filtering the {@link Ext.data.Store} by validity, since we may have extra errors from a write operation or
-	 * applied manually via {@link setErrors}.
-	 * @returns {Boolean} false if there are errors in the cache, true otherwise.
-	 */
-	isValid: function() {
-		var lastValid = this.lastValid;
-		this.lastValid = !this.errorMap.getCount();
-		if (Ext.isDefined(lastValid) && lastValid !== this.lastValid) {
-			this.fireEvent('validitychange', this, this.lastValid);
+		if (partner.focusTips) {
+			this.view.on('refresh', partner.hideFocusTip, partner);
 		}
-		return this.lastValid;
+		this.grid.on({
+			columnhide: partner.onColumnsChange,
+			columnshow: partner.onColumnsChange,
+			scope: partner
+		});
 	},
-	
+
 	/**
-	 * When records are removed from the store, we also remove them from the cache. This function can also be
-	 * called if for some reason the entire cache needs to be wiped.
+	 * @private
+	 * Creates the {@link #engine} from this Feature's configs, unless an engine instance was configured, and binds it
+	 * to the grid's store unless it is already bound to one. The engine's cache, adapter and reader are exposed as
+	 * this Feature's errorMap, {@link #validationAdapter} and {@link #errorReader}.
 	 */
-	clear: function() {
-		this.errorMap.clear();
-		this.isValid();
-	},
-	
-	onBulkRemove: function(store, records) {
-		Ext.each(records, function(record) {
-			this.errorMap.removeAtKey(record.internalId);
+	initEngine: function(store) {
+		var engine = this.engine;
+		if (!engine || !engine.isValidationEngine) {
+			engine = this.engine = Ext.create('Ext.ux.data.ValidationEngine',
+					Ext.apply(this.getEngineConfig(), engine));
+			this.ownsEngine = true;
+		}
+		if (!engine.store) {
+			engine.bindStore(store);
+		}
+		this.errorMap = engine.errorMap;
+		this.validationAdapter = engine.validationAdapter;
+		this.errorReader = engine.errorReader;
+		this.isTree = engine.isTree;
+		// Our own handlers run before the listeners of the relayed events
+		this.mon(engine, {
+			recorderrorschange: this.onRecordErrorsChange,
+			validationstart: this.onValidationStart,
+			validationprogress: this.onValidationProgress,
+			validationcomplete: this.onValidationEnd,
+			validationcancel: this.onValidationEnd,
+			scope: this
+		});
+		Ext.Object.each(this.relayedEvents, function(eventName, argCount) {
+			this.mon(engine, eventName, function() {
+				var args = Ext.Array.slice(arguments, 1, argCount + 1);
+				return this.fireEvent.apply(this, [ eventName, this ].concat(args));
+			}, this);
 		}, this);
-		this.isValid();
 	},
-	
+
 	/**
 	 * @private
-	 * Auto-validate: (Re)validate the record, repainting any fields whose validation status changed during the
-	 * update. This intentionally handles ALL update operations (edit, commit, reject).
-	 */
-	onUpdate: function(store, record, operation, modifiedFieldNames) {
-		if (this.autoValidate) {
-			var id = record.internalId,
-				lastErrors = this.errorMap.removeAtKey(id),
-				errors = this.cacheErrors(record).getRange(),
-				repaint;
-			// If the modifiedFieldNames argument is not passed, the whole row will be repainted anyway
-			if (modifiedFieldNames) {
-				repaint = [];
-				if (lastErrors && lastErrors.getCount()) {
-					Ext.Array.push(errors, lastErrors.getRange());
-				}
-				Ext.each(errors, function(error) {
-					Ext.Array.include(repaint, error.field);
-				});
-				// No need to repaint fields that will already be repainted by the current update event
-				repaint = Ext.Array.difference(repaint, modifiedFieldNames);
-				if (!Ext.isEmpty(repaint)) {
-					this.view.onUpdate(store, record, operation, repaint);
-				}
+	 * Returns the config of the {@link #engine}: the {@link #engineConfigs} set on this Feature (including those of a
+	 * locale override), the 'validators' of the grid's visible columns (see {@link #getColumnValidators}), and the
+	 * engine of the {@link #parentFeature}.
+	 */
+	getEngineConfig: function() {
+		var config = {
+			getFieldValidators: Ext.bind(this.getColumnValidators, this)
+		};
+		Ext.each(this.engineConfigs, function(name) {
+			if (Ext.isDefined(this[name])) {
+				config[name] = this[name];
 			}
+		}, this);
+		if (this.parentFeature) {
+			config.parent = this.parentFeature.engine;
 		}
+		return config;
 	},
-	
+
 	/**
 	 * @private
-	 * The entry point to the server-side validation/write error support system. This handler will pass off
-	 * the actual error extraction to template function {@link #getWriteErrors}.
+	 * Binds F8 and Shift+F8 on the rendered view to {@link #nextError} and {@link #previousError}.
 	 */
-	onWrite: function(store, operation) {
-		if (this.validateOnWrite) {
-			this.setErrors(this.getWriteErrors.apply(this, arguments));
-		}
+	initKeyMap: function(view) {
+		this.keyMaps.push(new Ext.util.KeyMap({
+			target: view.el,
+			binding: [ {
+				key: Ext.EventObject.F8,
+				shift: false,
+				defaultEventAction: 'stopEvent',
+				fn: function() {
+					this.nextError();
+				},
+				scope: this
+			}, {
+				key: Ext.EventObject.F8,
+				shift: true,
+				defaultEventAction: 'stopEvent',
+				fn: function() {
+					this.previousError();
+				},
+				scope: this
+			} ]
+		}));
 	},
-	
+
 	/**
-	 * Method that will manually add errors to the cache, so that they will be rendered into the grid view.
-	 * Note that errors set by this method will impact the result of {@link #isValid}, but will NOT be returned by
-	 * {@link Ext.data.Model#validate}, meaning that these errors will NOT result in the model failing validation.
-	 * They exist only in the gridview and in this Feature.
-	 * These errors will also be blown away when the respective record triggers {@link Ext.data.Store#update}, and
-	 * will need to be re-set if appropriate.
-	 * 
-	 * @param {Object} errors An error descriptor with the follwing properties:
-	 *	@param {Ext.data.Model} record	The record to mark as invalid
-	 *	@param {String} message			The error message to use in the tooltip
-	 *	@param {String} field			Optional; specifies a specific field (cell) to which the error should be
-	 *		applied. By default, the error will be applied to the entire record (by applying it to every field).
+	 * @private
+	 * Creates the offscreen live region used by {@link #announce}.
 	 */
-	setErrors: function(errors) {
-		var record,
-			id,
-			recordErrors,
-			fieldNames = [];
-		Ext.each(errors, function(error) {
-			if (error) {
-				record = error.record;
-				id = record.internalId;
-				recordErrors = this.errorMap.getByKey(id);
-				if (!recordErrors) {
-					recordErrors = new Ext.data.Errors();
-					this.errorMap.add(id, recordErrors);
+	initLiveRegion: function(grid) {
+		this.liveRegion = grid.el.createChild({
+			tag: 'div',
+			role: 'status',
+			'aria-live': 'polite',
+			'aria-atomic': 'true',
+			cls: Ext.baseCSSPrefix + 'validation-offscreen'
+		});
+	},
+
+	destroy: function() {
+		if (this.primary) {
+			// The shared state is destroyed with the first instance
+			this.callParent(arguments);
+			return;
+		}
+		Ext.destroy(this.keyMaps);
+		this.filterTask.cancel();
+		this.columnTask.cancel();
+		if (this.badgeTask) {
+			this.badgeTask.cancel();
+		}
+		if (this.announceTask) {
+			this.announceTask.cancel();
+		}
+		if (this.summaryTask) {
+			this.summaryTask.cancel();
+			this.restoreEditors();
+		}
+		if (this.focusTips) {
+			this.ownerGrid.getSelectionModel().un({
+				select: this.onSelect,
+				deselect: this.hideFocusTip,
+				scope: this
+			});
+		}
+		Ext.destroy(this.focusTip, this.liveRegion);
+		this.clearManagedListeners();
+		if (this.ownsEngine) {
+			this.engine.destroy();
+		}
+		this.callParent(arguments);
+	},
+
+	/**
+	 * Validates a record and repaints its row. See {@link Ext.ux.data.ValidationEngine#validate}.
+	 */
+	validate: function(record) {
+		return this.engine.validate(record);
+	},
+
+	/**
+	 * Re-runs the {@link #storeRules}. See {@link Ext.ux.data.ValidationEngine#validateStore}.
+	 */
+	validateStore: function() {
+		this.engine.validateStore();
+	},
+
+	/**
+	 * Validates every record in time-sliced chunks. See {@link Ext.ux.data.ValidationEngine#validateAll}; the events
+	 * and the callback are passed this Feature in place of the engine, and the options also take a 'repaint' mode
+	 * overriding {@link #bulkRepaint}.
+	 */
+	validateAll: function(options) {
+		var me = this,
+			callback;
+		options = Ext.apply({}, options);
+		callback = options.callback;
+		if (callback) {
+			// Pass the callback this Feature instead of the engine
+			options.callback = function(engine, valid) {
+				Ext.callback(callback, options.scope || me, [ me, valid ]);
+			};
+		}
+		me.engine.cancelValidateAll();
+		me.nextRepaint = options.repaint;
+		me.engine.validateAll(options);
+	},
+
+	/**
+	 * See {@link Ext.ux.data.ValidationEngine#cancelValidateAll}.
+	 */
+	cancelValidateAll: function() {
+		this.engine.cancelValidateAll();
+	},
+
+	/**
+	 * See {@link Ext.ux.data.ValidationEngine#isValidatingAll}.
+	 */
+	isValidatingAll: function() {
+		return this.engine.isValidatingAll();
+	},
+
+	/**
+	 * @private
+	 * Picks the {@link #bulkRepaint} mode of a {@link #validateAll} as it starts, whether it was started by this
+	 * Feature or by the {@link #engine} (e.g. for {@link #validateOnLoad}).
+	 */
+	onValidationStart: function() {
+		this.bulkRun = {
+			repaint: this.nextRepaint || this.bulkRepaint
+		};
+		delete this.nextRepaint;
+	},
+
+	/**
+	 * @private
+	 * Repaints the rendered rows of a chunk of records validated by {@link #validateAll}, in 'rendered'
+	 * {@link #bulkRepaint} mode.
+	 */
+	onValidationProgress: function(engine, done, total, records) {
+		if (this.bulkRun && this.bulkRun.repaint === 'rendered') {
+			Ext.each(records, function(record) {
+				if (this.view.getNode(record)) {
+					this.repaint(record);
 				}
-				if (error.field) {
-					// The error is tied to a specific field
-					recordErrors.add({
-						field: error.field,
-						message: error.message
-					});
-					fieldNames.push(error.field);
+			}, this);
+		}
+	},
+
+	/**
+	 * @private
+	 * Refreshes the views once a {@link #validateAll} completes or is cancelled, in 'end' {@link #bulkRepaint} mode.
+	 */
+	onValidationEnd: function() {
+		var run = this.bulkRun;
+		delete this.bulkRun;
+		if (run && run.repaint !== 'rendered') {
+			this.refreshViews();
+		}
+	},
+
+	/**
+	 * @private
+	 * Refreshes every rendered view of the grid, which repaints all of the rendered rows at once.
+	 */
+	refreshViews: function() {
+		Ext.each(this.getViews(), function(view) {
+			if (view.rendered) {
+				view.refresh();
+			}
+		});
+	},
+	
+	/**
+	 * Removes cached errors and repaints the affected cells. See {@link Ext.ux.data.ValidationEngine#clearErrors}.
+	 */
+	clearErrors: function(source, record) {
+		this.engine.clearErrors(source, record);
+	},
+
+	/**
+	 * @private
+	 * Supplies the {@link Ext.ux.data.ValidationEngine#fieldValidators} of the {@link #engine}: the 'validators'
+	 * declared by the visible columns of the grid, keyed by field. Each validator is either a validation config
+	 * (with a 'type', as in {@link Ext.data.Model#validations}) or a function, which is called in the scope of the
+	 * column, is passed the value, the record and the column, and may return anything a {@link #rules rule}
+	 * function may return. The map is built once, and rebuilt after columns are hidden, shown or replaced (see
+	 * {@link #onColumnsChange}).
+	 * @return {Object}
+	 */
+	getColumnValidators: function() {
+		var validators = this.columnValidators;
+		if (validators) {
+			return validators;
+		}
+		validators = this.columnValidators = {};
+		Ext.each(this.getGridColumns(true), function(column) {
+			var field = column.dataIndex;
+			if (!field || !column.validators) {
+				return;
+			}
+			validators[field] = Ext.Array.push(validators[field] || [], Ext.Array.map(Ext.Array.from(column.validators),
+					function(validator) {
+				return Ext.isFunction(validator) ? function(value, record) {
+					return validator.call(column, value, record, column);
+				} : validator;
+			}));
+		});
+		return validators;
+	},
+
+	/**
+	 * @private
+	 * Drops the map of {@link #getColumnValidators}, and schedules {@link #revalidateColumns} after columns are
+	 * hidden, shown or replaced.
+	 */
+	onColumnsChange: function() {
+		this.columnValidators = null;
+		this.columnTask.delay(10);
+	},
+
+	/**
+	 * @private
+	 * Revalidates the records which have been validated before (see {@link Ext.ux.data.ValidationEngine#revalidate}),
+	 * so that the errors of column validators follow the visible columns, then refreshes the views. Asynchronous
+	 * rules are not rescheduled.
+	 */
+	revalidateColumns: function() {
+		if (this.disabled) {
+			return;
+		}
+		this.engine.revalidate();
+		this.refreshViews();
+	},
+
+	/**
+	 * See {@link Ext.ux.data.ValidationEngine#isPending}.
+	 */
+	isPending: function(record, field) {
+		return this.engine.isPending(record, field);
+	},
+
+	/**
+	 * @private
+	 * Repaints the passed fields (cells) of a record, or the whole row if no fields are passed, in every view of the
+	 * grid (both sides of a locked grid).
+	 */
+	repaint: function(record, fieldNames, operation) {
+		Ext.each(this.getViews(), function(view) {
+			view.onUpdate(view.getStore(), record, operation || Ext.data.Model.EDIT, fieldNames || undefined);
+		});
+	},
+
+	/**
+	 * @private
+	 * Returns the views this Feature renders into: its own, and that of the other side of a locked grid.
+	 */
+	getViews: function() {
+		var partner = this.lockingPartner;
+		return partner && partner.view ? [ this.view, partner.view ] : [ this.view ];
+	},
+
+	/**
+	 * @private
+	 * Returns the leaf columns of the grid, locked columns first, optionally only the visible ones.
+	 */
+	getGridColumns: function(visibleOnly) {
+		var grid = this.ownerGrid || this.grid,
+			headers = grid.lockable ? [ grid.lockedGrid.headerCt, grid.normalGrid.headerCt ] : [ grid.headerCt ],
+			columns = [];
+		Ext.each(headers, function(headerCt) {
+			Ext.Array.push(columns, visibleOnly ? headerCt.getVisibleGridColumns() : headerCt.getGridColumns());
+		});
+		return columns;
+	},
+
+	/**
+	 * @private
+	 * Returns the view which renders a column.
+	 */
+	getColumnView: function(column) {
+		var grid = column.up('tablepanel');
+		return grid ? grid.getView() : this.view;
+	},
+
+	/**
+	 * @private
+	 * Returns the records of the store, optionally including those which are filtered out. For a tree, every loaded
+	 * node is returned, whether or not it is expanded.
+	 */
+	getRecords: function(all) {
+		return this.engine.getRecords(all);
+	},
+
+	/**
+	 * @private
+	 * Returns true if a record is (still) in the store, even if it is filtered out or a collapsed tree node.
+	 */
+	hasRecord: function(record) {
+		return this.engine.hasRecord(record);
+	},
+
+	/**
+	 * Checks the validity of the entire grid. See {@link Ext.ux.data.ValidationEngine#isValid}.
+	 */
+	isValid: function() {
+		return this.engine.isValid();
+	},
+	
+	/**
+	 * @private
+	 * Returns true if an error descriptor prevents the grid from being valid.
+	 */
+	isBlocking: function(error) {
+		return this.engine.isBlocking(error);
+	},
+
+	/**
+	 * Returns the counters collected while {@link #collectStats} is enabled, e.g. to compare the cost of validation
+	 * and rendering on a wide grid before and after a change:
+	 *
+	 * - validations: the number of records validated, of which fullValidations re-ran every validator and
+	 *   incrementalValidations only those affected by an edit
+	 * - validationTime: the total number of milliseconds spent validating, and averageValidationTime per record
+	 * - cellRenders: the number of cells rendered, and cellTime and averageCellTime the milliseconds spent on their
+	 *   errors
+	 *
+	 * Asynchronous rules are only counted for the time it takes to schedule them.
+	 * @return {Object} a copy of the counters
+	 */
+	getStats: function() {
+		var stats = Ext.apply(this.engine.getStats(), this.stats);
+		stats.averageCellTime = stats.cellRenders ? stats.cellTime / stats.cellRenders : 0;
+		return stats;
+	},
+
+	/**
+	 * Resets the counters reported by {@link #getStats} to zero.
+	 */
+	resetStats: function() {
+		// Reset in place, since the counters are shared with the other side of a locked grid
+		Ext.apply(this.stats, {
+			cellRenders: 0,
+			cellTime: 0
+		});
+		this.engine.resetStats();
+	},
+
+	/**
+	 * See {@link Ext.ux.data.ValidationEngine#getErrorCounts}.
+	 */
+	getErrorCounts: function() {
+		return this.engine.getErrorCounts();
+	},
+
+	/**
+	 * Builds a report of the cached errors, with a row per error (see {@link Ext.ux.grid.ValidationReport}), in store
+	 * order. Record-level errors are reported once per record.
+	 * @param {Object} options Optional; an object with the following properties:
+	 *	@param {Boolean} allRecords		true to include records which are filtered out of the store. Defaults to false
+	 *	@param {Boolean} renderedOnly	true to include only the rows currently rendered by the view (e.g. with a
+	 *		buffered renderer). Defaults to false
+	 * @return {Ext.ux.grid.ValidationReport}
+	 */
+	getErrorReport: function(options) {
+		var me = this,
+			store = me.view.getStore(),
+			rows = [];
+		options = options || {};
+		Ext.each(me.getRecords(options.allRecords), function(record) {
+			var recordErrors = me.errorMap.getByKey(record.internalId),
+				rowIndex;
+			if (!recordErrors || (options.renderedOnly && !me.view.getNode(record))) {
+				return;
+			}
+			rowIndex = store.indexOf(record);
+			recordErrors.each(function(error) {
+				var field = error.record ? null : error.field,
+					column = me.getFieldColumn(field);
+				rows.push({
+					recordId: record.getId(),
+					rowIndex: rowIndex,
+					field: field,
+					column: column ? me.getColumnText(column) : null,
+					message: me.getErrorMessage(error, record),
+					source: error.source || 'model',
+					severity: error.severity || 'error',
+					code: error.code || null
+				});
+			});
+		});
+		return new Ext.ux.grid.ValidationReport(rows);
+	},
+
+	/**
+	 * Wipes the entire cache. See {@link Ext.ux.data.ValidationEngine#clear}.
+	 */
+	clear: function() {
+		this.engine.clear();
+	},
+	
+	/**
+	 * @private
+	 * Repaints the fields of a record whose errors may have changed (see the 'recorderrorschange' event of
+	 * {@link Ext.ux.data.ValidationEngine}), and announces the record's new errors. When a store update caused the
+	 * change, the view repaints the modified fields itself, or the whole row if they are not known.
+	 */
+	onRecordErrorsChange: function(engine, record, change) {
+		var fieldNames = change.fieldNames;
+		if (change.errors) {
+			this.announceErrors(record, change.errors, change.lastErrors);
+		}
+		if (change.update) {
+			if (!change.modifiedFieldNames) {
+				return;
+			}
+			// No need to repaint fields that will already be repainted by the current update event, unless the
+			// view is bound to a tree's NodeStore, which may have relayed the event to the view before this handler
+			if (fieldNames && !this.isTree) {
+				fieldNames = Ext.Array.difference(fieldNames, change.modifiedFieldNames);
+			}
+			if (fieldNames && !fieldNames.length) {
+				return;
+			}
+		}
+		this.repaint(record, fieldNames, change.operation);
+	},
+	
+	/**
+	 * @private
+	 * Remembers the editing context, and makes sure each editor field that is about to be shown is validated
+	 * against the record by {@link #getEditorErrors}.
+	 */
+	onBeforeEdit: function(plugin, context) {
+		var columns = plugin.editor ? this.getGridColumns() : [ context.column ];
+		this.editPlugin = plugin;
+		this.editContext = context;
+		this.liveEditorErrors = null;
+		Ext.each(columns, function(column) {
+			var field = column.getEditor && column.getEditor(context.record);
+			if (field && field.isFormField) {
+				this.instrumentEditor(field, column);
+			}
+		}, this);
+		this.summaryTask.delay(1);
+	},
+
+	/**
+	 * @private
+	 */
+	onEditEnd: function() {
+		this.editPlugin = this.editContext = this.liveEditorErrors = null;
+		this.summaryTask.cancel();
+	},
+
+	/**
+	 * @private
+	 * Wraps an editor field's getErrors method, so that the errors for its column are reported (and rendered) by
+	 * the field itself. Unless {@link #allowInvalidEdit} is false, only the field's own errors affect whether it is
+	 * valid; RowEditing's error summary is then kept up to date by {@link #updateEditorSummary}. The original
+	 * methods are put back by {@link #restoreEditors}.
+	 */
+	instrumentEditor: function(field, column) {
+		var me = this,
+			getErrors = field.getErrors,
+			validateValue = field.validateValue;
+		if (!field.validatingColumn) {
+			me.instrumentedEditors.push({
+				field: field,
+				getErrors: field.hasOwnProperty('getErrors') && getErrors,
+				validateValue: field.hasOwnProperty('validateValue') && validateValue
+			});
+			field.getErrors = function() {
+				return Ext.Array.push(getErrors.apply(this, arguments), me.getEditorErrors(this));
+			};
+			field.validateValue = function(value) {
+				return validateValue.apply(this, arguments) ||
+						(me.allowInvalidEdit && Ext.isEmpty(getErrors.call(this, value)));
+			};
+			me.mon(field, {
+				change: me.onEditorChange,
+				destroy: me.onEditorDestroy,
+				scope: me
+			});
+		}
+		field.validatingColumn = column;
+	},
+
+	/**
+	 * @private
+	 * Drops the errors of the previous values, so that the next {@link #getEditorErrors} call validates the new ones.
+	 * With RowEditing, a change to one field can affect the others by way of a record-level rule, so they are
+	 * validated again as well; they all share the one live validation.
+	 */
+	onEditorChange: function(field) {
+		this.liveEditorErrors = null;
+		if (this.editPlugin && this.editPlugin.editor) {
+			Ext.each(this.getEditorFields(), function(other) {
+				if (other !== field) {
+					other.validate();
+				}
+			});
+			this.summaryTask.delay(1);
+		}
+	},
+
+	/**
+	 * @private
+	 * Forgets an editor field which was destroyed along with its editing plugin.
+	 */
+	onEditorDestroy: function(field) {
+		this.instrumentedEditors = Ext.Array.filter(this.instrumentedEditors, function(patch) {
+			return patch.field !== field;
+		});
+	},
+
+	/**
+	 * @private
+	 * Puts back the original methods of the editor fields patched by {@link #instrumentEditor}.
+	 */
+	restoreEditors: function() {
+		Ext.each(this.instrumentedEditors, function(patch) {
+			var field = patch.field;
+			Ext.each([ 'getErrors', 'validateValue' ], function(name) {
+				if (patch[name]) {
+					field[name] = patch[name];
 				} else {
-					// Apply the same error to all fields for the record
-					Ext.each(record.self.getFields(), function(field) {
-						recordErrors.add({
-							record: record,
-							field: field.name,
-							message: error.message
-						});
-						fieldNames.push(field.name);
-					});
+					delete field[name];
 				}
-				// Manually refresh the view for the record
-				this.view.onUpdate(this.store, record, Ext.data.Model.REJECT, fieldNames);
-			}
+			});
+			this.mun(field, {
+				change: this.onEditorChange,
+				destroy: this.onEditorDestroy,
+				scope: this
+			});
+			delete field.validatingColumn;
+		}, this);
+		this.instrumentedEditors = [];
+	},
+
+	/**
+	 * @private
+	 * While {@link #allowInvalidEdit} is true, the editor fields report themselves valid despite the errors of
+	 * {@link #getEditorErrors}, so RowEditing would not show its error summary for them. This shows it (listing
+	 * them, by way of the fields' getErrors) or hides it once the row has no errors left.
+	 */
+	updateEditorSummary: function() {
+		var editor = this.editPlugin && this.editPlugin.editor,
+			invalid = false;
+		if (!this.allowInvalidEdit || !editor || !editor.errorSummary || !editor.isVisible()) {
+			return;
+		}
+		Ext.each(this.getEditorFields(), function(field) {
+			invalid = this.getEditorErrors(field).length > 0;
+			return !invalid;
 		}, this);
+		if (invalid) {
+			editor.showToolTip();
+		} else if (editor.isValid()) {
+			editor.hideToolTip();
+		}
+	},
+
+	/**
+	 * @private
+	 * Returns the instrumented editor fields of the edit in progress.
+	 */
+	getEditorFields: function() {
+		var plugin = this.editPlugin;
+		if (plugin && plugin.editor) {
+			return Ext.Array.filter(plugin.editor.query('[isFormField]'), function(field) {
+				return !!field.validatingColumn;
+			});
+		}
+		return [];
+	},
+
+	/**
+	 * @private
+	 * Returns the blocking error messages for the field's column, from validating the values currently in the editor
+	 * against a copy of the record being edited, using the Model's validations and the synchronous {@link #rules}.
+	 * The validation runs once per change to the editor's values, and its result is shared by all of its fields.
+	 */
+	getEditorErrors: function(field) {
+		var context = this.editContext,
+			live = this.liveEditorErrors,
+			values = {},
+			errors;
+		if (!context || this.disabled) {
+			return [];
+		}
+		if (!live) {
+			Ext.each(this.editPlugin.editor ? this.getEditorFields() : [ field ], function(editor) {
+				values[editor.validatingColumn.dataIndex] = editor.getValue();
+			});
+			live = this.liveEditorErrors = { record: context.record.copy() };
+			live.record.set(values);
+			live.errors = this.engine.getLiveErrors(live.record);
+		}
+		errors = Ext.Array.filter(this.getCellErrors(live.record, field.validatingColumn, live.errors),
+				this.isBlocking, this);
+		return Ext.Array.clean(Ext.Array.pluck(errors, 'message'));
+	},
+
+	/**
+	 * Adds errors to the cache and paints them. See {@link Ext.ux.data.ValidationEngine#setErrors}.
+	 */
+	setErrors: function(errors) {
+		this.engine.setErrors(errors);
 	},
 	
 	/**
-	 * @protected
-	 * @template
-	 * Method to retrieve a set of line-item error descriptors from a write operation.
-	 *
-	 * This default implementation iterates through {@link Ext.data.Operation#resultSet} and attempts to extract
-	 * errors from each record's raw data using {@link #getRawDataErrors}. Any extra properties (those that don't
-	 * match up with a corresponding Model field) will be available via the {@link Ext.data.Model#raw} property on
-	 * the ResultSet records, since they are instantiated around the server response's raw data object.
-	 * See:	{@link Ext.data.reader.Reader#read}
-	 * 
-	 * The code used to match up the response records with their local equivalents follows logic
-	 * similar to that used in {@link Ext.data.Operation#commitRecords}.
-	 * 
-	 * Other implementations using an {@link Ext.data.proxy.Server} proxy might wish to make use of the undocumented
-	 * property {@link Ext.data.Operation#response}, which contains the entire XMLHttpResponse object from the
-	 * server.
-	 * See: {@link Ext.data.proxy.Server#processResponse}
-	 * 
-	 * Note that this function is actually called with the 'arguments' object from the onWrite handler in this
-	 * class, meaning that this function will be passed all the arguments of the 'write' event - not just 'store'
-	 * and 'operation'. This is done intentionally so that a custom 'write' event can be appropriately handled.
-	 * 
-	 * @param store
-	 * @param operation
-	 * @return {Array} of error descriptors, whose format matches the 'errors' parameter to {@link #setErrors}
-	 */
-	getWriteErrors: function(store, operation) {
-		var errors = new Ext.util.MixedCollection(),
-			clientRecords = operation.getRecords(),
-			serverRecords,
-			serverErrors,
-			i;
-		if (clientRecords && clientRecords.length) {
-			if (clientRecords.length > 1) {
-				// There are multiple records involved in the operation - we have to match up each client
-				// record with the corresponding server record.
-				if (operation.action === 'update' || clientRecords[0].clientIdProperty) {
-					// Match by clientIdProperty
-					serverRecords = new Ext.util.MixedCollection();
-					serverRecords.addAll(operation.getResultSet().records);
-					for (i = clientRecords.length; i--;) {
-						// Use the Operation's private matchClientRec function to make the job easier
-						serverErrors = this.getRecordWriteErrors(clientRecords[i],
-								serverRecords.findBy(operation.matchClientRec, clientRecords[i]));
-						if (!Ext.isEmpty(serverErrors)) {
-							errors.addAll(serverErrors);
-						}
+	 * Moves focus to the next invalid cell after the current position, wrapping around to the first.
+	 * @param {Boolean} startEdit Optional; overrides {@link #editOnNavigate}
+	 * @return {Object} the { record, column } position that was focused, or null if there are no errors
+	 */
+	nextError: function(startEdit) {
+		return this.stepError(1, startEdit);
+	},
+
+	/**
+	 * Moves focus to the previous invalid cell before the current position, wrapping around to the last.
+	 * @param {Boolean} startEdit Optional; overrides {@link #editOnNavigate}
+	 * @return {Object} the { record, column } position that was focused, or null if there are no errors
+	 */
+	previousError: function(startEdit) {
+		return this.stepError(-1, startEdit);
+	},
+
+	/**
+	 * Scrolls an invalid cell into view and focuses it.
+	 * @param {Ext.data.Model} record The record to focus
+	 * @param {String} field Optional; the field (cell) to focus. Defaults to the record's first invalid cell
+	 * @param {Boolean} startEdit Optional; overrides {@link #editOnNavigate}
+	 * @return {Object} the { record, column } position that was focused, or null if the cell is not visible, e.g.
+	 *		because the record is filtered out of the view
+	 */
+	focusError: function(record, field, startEdit) {
+		var positions,
+			position = null;
+		if (this.view.getStore().indexOf(record) < 0) {
+			return null;
+		}
+		positions = this.getErrorPositions(record);
+		Ext.each(field ? this.getGridColumns(true) : [], function(column) {
+			if (column.dataIndex === field) {
+				position = {
+					record: record,
+					column: column
+				};
+				return false;
+			}
+		});
+		position = position || positions[0] || null;
+		return position && this.focusPosition(position, startEdit) ? position : null;
+	},
+
+	/**
+	 * @private
+	 * Walks the invalid cells from the current position in the given direction (1 or -1), wrapping around.
+	 */
+	stepError: function(direction, startEdit) {
+		var positions = this.getErrorPositions(),
+			store = this.view.getStore(),
+			columns = this.getGridColumns(true),
+			current = this.getCurrentPosition(),
+			position = null,
+			i, row, column;
+		if (direction < 0) {
+			positions.reverse();
+		}
+		for (i = 0; i < positions.length; i++) {
+			row = store.indexOf(positions[i].record);
+			column = Ext.Array.indexOf(columns, positions[i].column);
+			if ((row - current.row) * direction > 0 ||
+					(row === current.row && (column - current.column) * direction > 0)) {
+				position = positions[i];
+				break;
+			}
+		}
+		position = position || positions[0] || null;
+		if (position) {
+			this.focusPosition(position, startEdit);
+		}
+		return position;
+	},
+
+	/**
+	 * @private
+	 * Returns the { record, column } position of every invalid cell in store order, and then in visible column
+	 * order, optionally limited to a single record. Records which are filtered out and columns which are hidden
+	 * are skipped. In 'row' {@link #recordErrorMode}, the record-level errors of a record are positioned at its
+	 * {@link Ext.ux.grid.column.ValidationStatus} cell, or at its first cell if there is no such column.
+	 */
+	getErrorPositions: function(record) {
+		var positions = [],
+			columns = this.getGridColumns(true),
+			rowColumn = this.recordErrorMode === 'row' && (Ext.Array.filter(columns, function(column) {
+				return column.isValidationStatusColumn;
+			})[0] || columns[0]);
+		Ext.each(record ? [ record ] : this.view.getStore().getRange(), function(rec) {
+			var recordErrors = this.errorMap.getByKey(rec.internalId),
+				hasRecordErrors = !!(recordErrors && recordErrors.findBy(function(error) {
+					return !!error.record;
+				}));
+			if (recordErrors) {
+				Ext.each(columns, function(column) {
+					if ((hasRecordErrors && column === rowColumn) ||
+							this.getFieldErrors(recordErrors, column.dataIndex).length) {
+						positions.push({
+							record: rec,
+							column: column
+						});
 					}
+				}, this);
+			}
+		}, this);
+		return positions;
+	},
+
+	/**
+	 * @private
+	 * Returns the { row, column } indexes of the currently focused cell, as best as the selection model knows it.
+	 * A column index of -1 means that the whole row is selected.
+	 */
+	getCurrentPosition: function() {
+		var sm = this.ownerGrid.getSelectionModel(),
+			store = this.view.getStore(),
+			columns = this.getGridColumns(true),
+			last = this.lastPosition,
+			position = sm.getCurrentPosition && sm.getCurrentPosition(),
+			record,
+			column;
+		if (position) {
+			// On a locked grid, the column index is relative to the position's view
+			column = position.view && position.view.headerCt.getVisibleGridColumns()[position.column];
+			return {
+				row: position.row,
+				column: column ? Ext.Array.indexOf(columns, column) : position.column
+			};
+		}
+		record = sm.getLastSelected();
+		if (record) {
+			return {
+				row: store.indexOf(record),
+				column: last && last.record === record ? Ext.Array.indexOf(columns, last.column) : -1
+			};
+		}
+		return {
+			row: -1,
+			column: -1
+		};
+	},
+
+	/**
+	 * @private
+	 * Scrolls a { record, column } position into view (rendering it first if the view is buffered), selects and
+	 * focuses it, and optionally starts editing it. Returns false, without doing anything, if the record is not in
+	 * the view's store or the column is not visible.
+	 */
+	focusPosition: function(position, startEdit) {
+		var me = this,
+			view = me.getColumnView(position.column),
+			store = view.getStore(),
+			row = store.indexOf(position.record),
+			column = Ext.Array.indexOf(view.headerCt.getVisibleGridColumns(), position.column),
+			plugin = me.ownerGrid.editingPlugin,
+			focus = function() {
+				var sm = me.ownerGrid.getSelectionModel();
+				if (sm.setCurrentPosition) {
+					sm.setCurrentPosition({
+						row: row,
+						column: column,
+						view: view
+					});
 				} else {
-					// We have no clientIdProperty to match; match by index order instead
-					for (i = 0; i < clientRecords.length; i++) {
-						serverErrors = this.getRecordWriteErrors(clientRecords[i], serverRecords[i]);
-						if (!Ext.isEmpty(serverErrors)) {
-							errors.addAll(serverErrors);
-						}
-					}
+					sm.select(position.record);
 				}
-			} else {
-				// Operation only has one record, so no need to match it up
-				serverErrors = this.getRecordWriteErrors(clientRecords[0], operation.getResultSet().records[0]);
-				if (!Ext.isEmpty(serverErrors)) {
-					errors.addAll(serverErrors);
+				view.focusCell({
+					row: row,
+					column: column
+				});
+				if (plugin && (Ext.isDefined(startEdit) ? startEdit : me.editOnNavigate)) {
+					plugin.startEdit(position.record, position.column);
 				}
+			};
+		if (row < 0 || column < 0) {
+			return false;
+		}
+		me.lastPosition = position;
+		if (view.bufferedRenderer && !view.getNode(position.record)) {
+			view.bufferedRenderer.scrollTo(row, false, focus);
+		} else {
+			focus();
+		}
+		return true;
+	},
+
+	/**
+	 * @private
+	 * Shows the errors of the newly selected cell (or record) in a tooltip, so that they can be read without hovering.
+	 */
+	onSelect: function() {
+		var position = this.getCurrentPosition(),
+			record = this.view.getStore().getAt(position.row),
+			column = this.getGridColumns(true)[position.column],
+			errors = [],
+			el;
+		if (record && !this.disabled) {
+			if (column && !column.isValidationStatusColumn) {
+				errors = this.getCellErrors(record, column);
+				el = this.getColumnView(column).getCell(record, column);
+			} else {
+				errors = this.getRecordErrors(record);
+				el = Ext.get(this.view.getNode(record));
 			}
-		}		
-		return errors;
+		}
+		if (errors.length && el) {
+			if (!this.focusTip) {
+				this.focusTip = Ext.create('Ext.tip.Tip', {
+					ui: 'form-invalid'
+				});
+			}
+			this.focusTip.update(this.getTooltipHtml(errors));
+			this.focusTip.showBy(el, 'tl-bl?');
+		} else {
+			this.hideFocusTip();
+		}
 	},
-	
+
+	/**
+	 * @private
+	 * Hides the tooltip shown by {@link #onSelect}.
+	 */
+	hideFocusTip: function() {
+		if (this.focusTip) {
+			this.focusTip.hide();
+		}
+	},
+
+	/**
+	 * Announces a message through the polite live region (see {@link #ariaLive}). Messages announced in quick
+	 * succession are read together.
+	 * @param {String} text The plain-text message
+	 */
+	announce: function(text) {
+		if (this.announceTask && !Ext.isEmpty(text)) {
+			this.announcements.push(text);
+			this.announceTask.delay(100);
+		}
+	},
+
+	/**
+	 * @private
+	 * Writes the pending announcements into the live region.
+	 */
+	flushAnnouncements: function() {
+		var text = this.announcements.join('. ');
+		this.announcements = [];
+		if (this.liveRegion) {
+			this.liveRegion.update(Ext.String.htmlEncode(text));
+		}
+	},
+
+	/**
+	 * @private
+	 * Announces the errors of a record which were not among its previous errors.
+	 */
+	announceErrors: function(record, errors, lastErrors) {
+		var me = this,
+			lastTexts;
+		if (!me.ariaLive || me.disabled) {
+			return;
+		}
+		lastTexts = Ext.Array.map(lastErrors || [], function(error) {
+			return me.getAnnouncement(record, error);
+		});
+		Ext.each(errors, function(error) {
+			var text = me.getAnnouncement(record, error);
+			if (!Ext.Array.contains(lastTexts, text)) {
+				me.announce(text);
+			}
+		});
+	},
+
+	/**
+	 * @private
+	 * Returns the announcement for a single error, using {@link #invalidCellText} or {@link #invalidRowText}.
+	 */
+	getAnnouncement: function(record, error) {
+		var message = this.getErrorMessage(error, record);
+		if (error.record) {
+			return Ext.String.format(this.invalidRowText, this.view.getStore().indexOf(record) + 1, message);
+		}
+		return Ext.String.format(this.invalidCellText, this.getMessageValues(error, record).column, message);
+	},
+
 	/**
 	 * @private
-	 * Builds an Array of server error descriptors for each record by invoking {@link #getRawDataErrors}
-	 */
-	getRecordWriteErrors: function(clientRecord, serverRecord) {
-		var errors = [],
-			serverErrors,
-			error;
-		if (clientRecord && serverRecord) {
-			serverErrors = this.getRawDataErrors(serverRecord.raw, serverRecord);
-			if (!Ext.isEmpty(serverErrors)) {
-				// serverErrors may be an Array or just a single item
-				Ext.each(serverErrors, function(serverError) {
-					error = { record: clientRecord };
-					if (typeof serverError === 'object') {
-						// Error is an object descriptor { field, message }
-						Ext.applyIf(error, serverError);
-					} else {
-						// Error is just a message
-						error.message = serverError;
+	 * Announces that the grid has become valid or invalid. Pending states (null) are not announced.
+	 */
+	onValidityChange: function(feature, valid) {
+		if (valid !== null) {
+			this.announce(valid ? this.validText : this.invalidText);
+		}
+	},
+
+	/**
+	 * Filters the store to the records with errors, or to those with errors on a single field, keeping any other
+	 * filters of the store. The filter is re-applied whenever the errors change (see {@link #filterBuffer}), so
+	 * records drop out as they are fixed. Fires 'invalidfilterchange' (feature, active, field). Not supported by tree
+	 * panels, whose TreeStore cannot be filtered.
+	 * @param {String} field Optional; the name of a field
+	 */
+	filterInvalid: function(field) {
+		var me = this;
+		if (me.isTree) {
+			return;
+		}
+		me.invalidFilter = {
+			field: field || null
+		};
+		me.filterTask.cancel();
+		// The store replaces any previous filter with the same id
+		me.validationAdapter.addFilter(me.grid.store, {
+			id: me.invalidFilterId,
+			filterFn: function(record) {
+				return me.isRecordInvalid(record, field);
+			}
+		});
+		me.fireEvent('invalidfilterchange', me, true, me.invalidFilter.field);
+		if (me.badgeTask) {
+			me.badgeTask.delay(50);
+		}
+	},
+
+	/**
+	 * Removes the filter added by {@link #filterInvalid}, keeping any other filters of the store.
+	 * Fires 'invalidfilterchange' (feature, active, field).
+	 */
+	clearInvalidFilter: function() {
+		this.filterTask.cancel();
+		if (this.invalidFilter) {
+			this.invalidFilter = null;
+			this.validationAdapter.removeFilter(this.grid.store, this.invalidFilterId);
+			this.fireEvent('invalidfilterchange', this, false, null);
+			this.onErrorsChange();
+		}
+	},
+
+	/**
+	 * Returns true if a record has errors, or errors on a single field.
+	 * @param {Ext.data.Model} record
+	 * @param {String} field Optional; the name of a field
+	 * @return {Boolean}
+	 */
+	isRecordInvalid: function(record, field) {
+		var recordErrors = this.errorMap.getByKey(record.internalId);
+		if (!recordErrors) {
+			return false;
+		}
+		return field ? this.getFieldErrors(recordErrors, field).length > 0 : recordErrors.getCount() > 0;
+	},
+
+	/**
+	 * @private
+	 * Schedules the invalid filter to be re-applied and the header badges to be updated after the errors change.
+	 */
+	onErrorsChange: function() {
+		if (this.invalidFilter) {
+			this.filterTask.delay(this.filterBuffer);
+		}
+		if (this.badgeTask) {
+			this.badgeTask.delay(50);
+		}
+	},
+
+	/**
+	 * @private
+	 * Re-applies the store's filters, including the invalid filter, unless it has been removed in the meantime
+	 * (e.g. by {@link Ext.data.Store#clearFilter}).
+	 */
+	refilter: function() {
+		var adapter = this.validationAdapter,
+			store = this.grid.store;
+		if (!this.invalidFilter) {
+			return;
+		}
+		if (adapter.hasFilter(store, this.invalidFilterId)) {
+			adapter.refilter(store, this.invalidFilterId);
+		} else {
+			this.invalidFilter = null;
+			this.fireEvent('invalidfilterchange', this, false, null);
+			this.onErrorsChange();
+		}
+	},
+
+	/**
+	 * @private
+	 * Shows the number of invalid cells in the header of each column bound to a field, as a badge colored by the
+	 * most severe of the column's errors. Only the columns which are rendered are updated.
+	 */
+	updateBadges: function() {
+		var me = this,
+			filterField = me.invalidFilter && me.invalidFilter.field;
+		Ext.each(me.getGridColumns(), function(column) {
+			var count = 0,
+				severity = me.severities.length,
+				badge;
+			if (!column.rendered || !column.dataIndex || column.isValidationStatusColumn) {
+				return;
+			}
+			if (!me.disabled) {
+				me.errorMap.each(function(recordErrors) {
+					var errors = me.getFieldErrors(recordErrors, column.dataIndex);
+					if (errors.length) {
+						count++;
+						severity = Math.min(severity, Ext.Array.indexOf(me.severities, me.getSeverity(errors)));
 					}
-					errors.push(error);
 				});
 			}
+			badge = me.getBadge(column);
+			badge.dom.className = me.badgeCls + (count ? ' ' + me.badgeCls + '-' + me.severities[severity] : '') +
+					(filterField && filterField === column.dataIndex ? ' ' + me.badgeCls + '-active' : '');
+			badge.update(count ? String(count) : '');
+			badge.set({
+				'data-qtip': count ? Ext.String.format(me.badgeText, count) : ''
+			});
+			badge.setDisplayed(count > 0);
+		});
+	},
+
+	/**
+	 * @private
+	 * Returns the badge element in a column header, creating it if necessary.
+	 */
+	getBadge: function(column) {
+		var me = this,
+			badge = column.validatingBadge;
+		if (!badge) {
+			badge = column.validatingBadge = Ext.get(Ext.DomHelper.append(column.titleEl, {
+				tag: 'span',
+				cls: me.badgeCls
+			}));
+			// Keep the click from sorting the column
+			badge.on('click', function() {
+				me.onBadgeClick(column);
+			}, me, { stopEvent: true });
 		}
-		return errors;
+		return badge;
 	},
-	
+
 	/**
-	 * @protected
-	 * @template
-	 * Method to extract errors from the raw data of a single {@link Ext.data.ResultSet} record.
-	 * This method can be overridden as a more casual way of customizing the way errors are extracted from raw data.
-	 * Instead of changing the way errors are pulled from the entire {@link Ext.data.Operation}, this function
-	 * determines how an error is pulled from each individual record's {@link Ext.data.Model#raw} response data.
-	 * 
-	 * If you're using JSON data and you have a specific error property on each record, consider using the
-	 * {@link #errorProprety} config.
-	 * 
-	 * If the errors can't be pulled from individual record data, you'll need to override {@link #getWriteErrors}
-	 * instead.
-	 * 
-	 * @return {String/Object/String[]/Object[]}
-	 * - A String (in which case the error is applied to the whole record)
-	 * - A { field, message } object (in which case the error is applied to the specified field
-	 * - An Array containing either Strings or { field, message } objects
-	 */
-	getRawDataErrors: function(rawData, serverRecord) {
-		if (Ext.isArray(rawData)) {
-			// Array data; access the first value not matched by a field
-			return rawData[serverRecord.self.getFields().length];
+	 * @private
+	 * Toggles the invalid filter for a column's field.
+	 */
+	onBadgeClick: function(column) {
+		if (this.invalidFilter && this.invalidFilter.field === column.dataIndex) {
+			this.clearInvalidFilter();
 		} else {
-			// JSON data; return this.errorProperty
-			return rawData[this.errorProperty];
+			this.filterInvalid(column.dataIndex);
 		}
 	},
-	
+
 	/**
 	 * @private
 	 * The main hook executed during rendering.
@@ -443,56 +2098,334 @@ Ext.define('Ext.ux.grid.feature.Validating', {
 	 * @param {Object} cellValues The values object passed to the {@link #cellTpl}
 	 */
 	validateCell: function(cellValues) {
-		var errors = this.getCellErrors(cellValues.record, cellValues.column);
+		var start = this.collectStats ? this.engine.getTime() : 0,
+			errors,
+			pending;
+		// A status column paints itself
+		if (cellValues.column.isValidationStatusColumn) {
+			return;
+		}
+		errors = this.getCellErrors(cellValues.record, cellValues.column);
+		pending = this.isPending(cellValues.record, cellValues.column.dataIndex);
 		if (!this.disabled && !Ext.isEmpty(errors)) {
 			Ext.apply(cellValues, {
 				invalid: true,
-				invalidCls: this.invalidCls,
-				tooltip: this.composeTooltip(errors)
+				invalidCls: this.getSeverityCls(errors),
+				tooltip: this.composeTooltip(errors),
+				// Warnings and info messages describe the cell without making it invalid
+				ariaAttr: Ext.Array.some(errors, this.isBlocking, this) ? ' aria-invalid="true"' : '',
+				errorId: Ext.id(null, 'validating-error-'),
+				errorText: Ext.Array.clean(Ext.Array.pluck(errors, 'message')).join('; ')
+			});
+			cellValues.msgText = cellValues.errorText;
+		} else if (!this.disabled && pending) {
+			// The "invalid" wrapper is reused to paint a cell whose asynchronous rules have not yet reported
+			Ext.apply(cellValues, {
+				invalid: true,
+				invalidCls: this.pendingCls,
+				tooltip: Ext.String.htmlEncode(this.pendingText),
+				ariaAttr: ' aria-busy="true"',
+				msgText: Ext.String.htmlEncode(this.pendingText)
 			});
 		}
+		if (cellValues.invalid) {
+			cellValues.msgTarget = this.getMsgTarget(cellValues.column);
+			cellValues.msgCls = Ext.baseCSSPrefix + 'grid-cell-msg-' + cellValues.msgTarget;
+		}
+		if (this.collectStats) {
+			this.stats.cellRenders++;
+			this.stats.cellTime += this.engine.getTime() - start;
+		}
 	},
 	
+	/**
+	 * Returns the {@link #msgTarget} of a column: its own 'msgTarget' config, or the Feature's.
+	 * @param {Ext.grid.column.Column} column
+	 * @return {String}
+	 */
+	getMsgTarget: function(column) {
+		return column.msgTarget || this.msgTarget;
+	},
+
 	/**
 	 * @private
-	 * Accesses the error cache and pulls out an Array of String error messages for an individual cell.
+	 * The hook executed by the {@link #rowTpl} while rendering a row. In 'row' {@link #recordErrorMode}, adds a row
+	 * CSS class for the most severe of the record's record-level errors.
+	 * @param {Object} rowValues The values object passed to the {@link #rowTpl}
 	 */
-	getCellErrors: function(record, column) {
-		var recordErrors = this.errorMap.getByKey(record.internalId),
-			errors = [],
-			message;
-		if (recordErrors && !recordErrors.isValid()) {
-			Ext.each(recordErrors.getByField(column.dataIndex), function(error) {
-				// Just push an empty string if the message is empty for some reason.
-				// In this case, our cellTpl will only apply invalid CSS - it will not apply an empty tooltip.
-				message = '';
-				if (!Ext.isEmpty(error.message)) {
-					// Only add the column name if the error is not a record-level error applied to all fields
-					if (!error.record) {
-						message = column.text + ' ';
-					}
-					message = Ext.String.trim(message + Ext.String.htmlEncode(error.message));
-				}
-				errors.push(message);
+	validateRow: function(rowValues) {
+		var recordErrors = rowValues.record && this.errorMap.getByKey(rowValues.record.internalId),
+			errors;
+		if (!this.disabled && recordErrors && this.recordErrorMode === 'row') {
+			errors = Ext.Array.filter(recordErrors.getRange(), function(error) {
+				return !!error.record;
 			});
+			if (errors.length) {
+				rowValues.rowClasses.push(this.getSeverityCls(errors, true));
+			}
+		}
+	},
+
+	/**
+	 * @private
+	 * Returns the CSS class for the most severe of a cell's (or, if row is true, a row's) errors.
+	 */
+	getSeverityCls: function(errors, row) {
+		var severity = this.getSeverity(errors),
+			cls = !severity || severity === this.severities[0] ? 'invalid' : severity;
+		return row ? this['row' + Ext.String.capitalize(cls) + 'Cls'] : this[cls + 'Cls'];
+	},
+
+	/**
+	 * Returns the most severe of the severities of a set of errors.
+	 * @param {Object[]} errors
+	 * @return {String} the severity, or undefined if there are no errors
+	 */
+	getSeverity: function(errors) {
+		return this.engine.getSeverity(errors);
+	},
+
+	/**
+	 * @private
+	 * Accesses the error cache and pulls out an Array of { message, severity } objects for an individual cell.
+	 * The messages are composed by the {@link #messageTpl} or {@link #recordMessageTpl}, and are HTML-encoded.
+	 * @param {Ext.data.Model} record
+	 * @param {Ext.grid.column.Column} column
+	 * @param {Ext.data.Errors} recordErrors Optional; the errors to use instead of the record's cached errors
+	 */
+	getCellErrors: function(record, column, recordErrors) {
+		recordErrors = recordErrors || this.errorMap.getByKey(record.internalId);
+		if (!recordErrors || !recordErrors.getCount()) {
+			return [];
+		}
+		return Ext.Array.map(this.getFieldErrors(recordErrors, column.dataIndex), function(error) {
+			return this.formatError(error, record, column);
+		}, this);
+	},
+
+	/**
+	 * Returns every error of a record as an Array of { message, severity } objects, in the same format as the
+	 * errors of a cell. Used by {@link Ext.ux.grid.column.ValidationStatus}.
+	 * @param {Ext.data.Model} record
+	 * @return {Object[]}
+	 */
+	getRecordErrors: function(record) {
+		var recordErrors = this.errorMap.getByKey(record.internalId);
+		return recordErrors ? Ext.Array.map(recordErrors.getRange(), function(error) {
+			return this.formatError(error, record, error.record ? null : this.getFieldColumn(error.field));
+		}, this) : [];
+	},
+
+	/**
+	 * @private
+	 * Returns the cached errors shown on the cells of a field: those of the field itself, plus the record-level
+	 * errors in 'cell' {@link #recordErrorMode}. The errors are looked up in the record's field index (see
+	 * {@link #getFieldIndex}); the returned Array must not be modified.
+	 */
+	getFieldErrors: function(recordErrors, field) {
+		var index = this.getFieldIndex(recordErrors),
+			errors = (field && index.fields[field]) || [];
+		if (field && this.recordErrorMode === 'cell' && index.record.length) {
+			return errors.concat(index.record);
 		}
 		return errors;
 	},
+
+	/**
+	 * @private
+	 * Returns the index of a record's cached errors by field, as { fields: { name: [errors] }, record: [errors] },
+	 * where 'record' holds the record-level errors. The index is built on first use, and rebuilt only after the errors
+	 * change (which bumps the collection's generation), so rendering a cell is a constant-time lookup.
+	 */
+	getFieldIndex: function(recordErrors) {
+		var index = recordErrors.validatingIndex;
+		if (!index || index.generation !== recordErrors.generation) {
+			index = recordErrors.validatingIndex = {
+				generation: recordErrors.generation,
+				fields: {},
+				record: []
+			};
+			recordErrors.each(function(error) {
+				if (error.record) {
+					index.record.push(error);
+				} else {
+					(index.fields[error.field] = index.fields[error.field] || []).push(error);
+				}
+			});
+		}
+		return index;
+	},
+
+	/**
+	 * @private
+	 * Composes the HTML-encoded { message, severity } object for an error, using the {@link #messageTpl} or
+	 * {@link #recordMessageTpl}.
+	 */
+	formatError: function(error, record, column) {
+		var message = this.getErrorMessage(error, record, column),
+			values;
+		// Just use an empty string if the message is empty for some reason.
+		// In this case, our cellTpl will only apply invalid CSS - it will not apply an empty tooltip.
+		if (!Ext.isEmpty(message)) {
+			values = this.encodeValues(this.getMessageValues(error, record, column));
+			values.message = Ext.String.htmlEncode(message);
+			// Record-level errors have their own template, without the column name
+			message = Ext.String.trim(Ext.XTemplate.getTpl(this,
+					error.record ? 'recordMessageTpl' : 'messageTpl').apply(values));
+		}
+		return {
+			message: message,
+			severity: error.severity || 'error'
+		};
+	},
+
+	/**
+	 * Resolves the plain-text message of a cached error: the {@link #messages} entry for its code, its own message,
+	 * or the {@link #messages} entry for the type of validation that failed (falling back to
+	 * {@link Ext.data.validations}), in that order. Messages from the bundle and those of validations, which are
+	 * written by the developer, are applied as templates (see {@link #messageTpl}). The messages of rules, which may
+	 * contain data, only have their {token}s replaced by the same values; other messages, such as those sent by the
+	 * server, are used as-is.
+	 * @param {Object} error The error descriptor
+	 * @param {Ext.data.Model} record The record the error belongs to
+	 * @param {Ext.grid.column.Column} column Optional; the column the error is shown in. Defaults to the first
+	 *		column for the error's field
+	 * @return {String} the message, or an empty String if there is none
+	 */
+	getErrorMessage: function(error, record, column) {
+		var message = this.getBundleMessage(error.code),
+			// Only the bundle and the configs of validations are trusted to be templates
+			isTpl = !!message || (!!error.type && error.source === 'model'),
+			values,
+			cache;
+		if (!message) {
+			message = error.message;
+		}
+		if (Ext.isEmpty(message) && error.type) {
+			message = this.getBundleMessage(error.type) || this.validationAdapter.getDefaultMessage(error);
+			isTpl = true;
+		}
+		if (Ext.isEmpty(message)) {
+			return '';
+		} else if (!isTpl) {
+			message = String(message);
+			if (error.source !== 'model') {
+				return message;
+			}
+			values = this.getMessageValues(error, record, column);
+			return message.replace(/\{(\w+)\}/g, function(token, name) {
+				return Ext.isDefined(values[name]) && values[name] !== null ? String(values[name]) : token;
+			});
+		}
+		cache = this.messageTpls || (this.messageTpls = {});
+		if (!cache[message]) {
+			cache[message] = new Ext.XTemplate(message);
+		}
+		return cache[message].apply(this.getMessageValues(error, record, column));
+	},
+
+	/**
+	 * @private
+	 * Returns the {@link #messages} entry for an error code or validation type, or undefined if there is none. Only
+	 * the bundle's own string entries count, so a code such as 'constructor' or 'toString' is not looked up on
+	 * Object.prototype.
+	 */
+	getBundleMessage: function(key) {
+		var messages = this.messages,
+			message = key && Object.prototype.hasOwnProperty.call(messages, key) ? messages[key] : undefined;
+		return Ext.isString(message) ? message : undefined;
+	},
+
+	/**
+	 * @private
+	 * Returns the values passed to the message templates for an error: its 'params', overlaid with the column
+	 * text, field name and field value.
+	 */
+	getMessageValues: function(error, record, column) {
+		var field = error.field;
+		column = column || this.getFieldColumn(field);
+		return Ext.apply(Ext.apply({}, error.params), {
+			column: column ? this.getColumnText(column) : field,
+			field: field,
+			value: record && field ? record.get(field) : undefined
+		});
+	},
+
+	/**
+	 * @private
+	 * HTML-encodes the String values of a message template's values.
+	 */
+	encodeValues: function(values) {
+		Ext.Object.each(values, function(key, value) {
+			if (Ext.isString(value)) {
+				values[key] = Ext.String.htmlEncode(value);
+			}
+		});
+		return values;
+	},
+
+	/**
+	 * Returns the first grid column bound to a field, if any.
+	 * @param {String} field The name of the field
+	 * @return {Ext.grid.column.Column}
+	 */
+	getFieldColumn: function(field) {
+		return field ? Ext.Array.filter(this.getGridColumns(), function(column) {
+			return column.dataIndex === field;
+		})[0] : undefined;
+	},
+
+	/**
+	 * Returns the plain text of a column's header, without any markup.
+	 * @param {Ext.grid.column.Column} column
+	 * @return {String}
+	 */
+	getColumnText: function(column) {
+		return Ext.String.trim(Ext.String.htmlDecode(Ext.util.Format.stripTags(column.text || '')));
+	},
 	
 	/**
 	 * @private
-	 * Renders an array of errors as an HTML string, suitable to be shown in a tooltip.
-	 * @return The error string. If errors.length > 1, they will be returned in a <ul><li> wrapper; otherwise,
-	 *		errors[0] is returned as-is.
+	 * Renders an array of errors as an HTML string, encoded to be used as the value of a 'data-errorqtip'
+	 * attribute. See {@link #getTooltipHtml}.
 	 */
 	composeTooltip: function(errors) {
-		var html;
-		if (errors.length > 1) {
-			html = Ext.String.htmlEncode(Ext.XTemplate.getTpl(this, 'tooltipTpl').apply({
-				errors: errors
-			}));
+		var html = this.getTooltipHtml(errors);
+		return html ? Ext.String.htmlEncode(html) : html;
+	},
+
+	/**
+	 * @private
+	 * Renders an array of errors as an HTML string, suitable to be shown in a tooltip.
+	 * @return The error string. If the errors have more than one severity, they will be grouped under a heading per
+	 *		severity. Otherwise, if errors.length > 1, they will be returned in a <ul><li> wrapper; if not, the
+	 *		message of errors[0] is returned as-is.
+	 */
+	getTooltipHtml: function(errors) {
+		var groups = [],
+			html;
+		Ext.each(this.severities, function(severity) {
+			var messages = Ext.Array.pluck(Ext.Array.filter(errors, function(error) {
+				return error.severity === severity;
+			}), 'message');
+			if (messages.length) {
+				groups.push({
+					severity: severity,
+					title: this.severityText[severity],
+					errors: messages
+				});
+			}
+		}, this);
+		if (groups.length > 1) {
+			html = Ext.XTemplate.getTpl(this, 'groupedTooltipTpl').apply({
+				groups: groups
+			});
+		} else if (errors.length > 1) {
+			html = Ext.XTemplate.getTpl(this, 'tooltipTpl').apply({
+				errors: Ext.Array.pluck(errors, 'message')
+			});
 		} else if (errors.length === 1) {
-			html = errors[0];
+			html = errors[0].message;
 		}
 		return html;
 	},
@@ -505,5 +2438,11 @@ Ext.define('Ext.ux.grid.feature.Validating', {
 		delete cellValues.invalid;
 		delete cellValues.invalidCls;
 		delete cellValues.tooltip;
+		delete cellValues.ariaAttr;
+		delete cellValues.errorId;
+		delete cellValues.errorText;
+		delete cellValues.msgTarget;
+		delete cellValues.msgCls;
+		delete cellValues.msgText;
 	}
 });
\ No newline at end of file